@@ -1,5 +1,6 @@
 // 在文件顶部添加
 require('dotenv').config();
+const path = require('path');
 
 const config = {
     // 服务器配置
@@ -10,21 +11,28 @@ const config = {
 
     // 交易所配置
     exchanges: {
+        // binance / okx / bybit / gate 的资金费率由 WebSocket 实时推送；fetchInterval 到期时仅在推送中断或超过 fundingReconcileInterval 时走 REST 对账
         binance: {
             enabled: true,
             fetchInterval: 60000,
+            fundingReconcileInterval: 600000,
+            fundingStreamTimeout: 120000,
             retryAttempts: 3,
             timeout: 10000
         },
         okx: {
             enabled: true,
             fetchInterval: 60000,
+            fundingReconcileInterval: 600000,
+            fundingStreamTimeout: 120000,
             retryAttempts: 3,
             timeout: 10000
         },
         bybit: {
             enabled: true,
             fetchInterval: 60000,
+            fundingReconcileInterval: 600000,
+            fundingStreamTimeout: 120000,
             retryAttempts: 3,
             timeout: 10000
         },
@@ -40,7 +48,8 @@ const config = {
             fetchInterval: Number(process.env.EDGEX_FETCH_INTERVAL || 60000),
             retryAttempts: 3,
             timeout: 15000,
-            baseUrl: process.env.EDGEX_BASE_URL || 'https://pro.edgex.exchange'
+            baseUrl: process.env.EDGEX_BASE_URL || 'https://pro.edgex.exchange',
+            wsUrl: process.env.EDGEX_WS_URL || 'wss://quote.edgex.exchange/api/v1/public/ws'
         },
         // 新增：Hyperliquid
         hyperliquid: {
@@ -48,17 +57,155 @@ const config = {
             fetchInterval: Number(process.env.HYPERLIQUID_FETCH_INTERVAL || 60000),
             retryAttempts: 3,
             timeout: 15000,
-            baseUrl: process.env.HYPERLIQUID_BASE_URL || 'https://api.hyperliquid.xyz'
+            baseUrl: process.env.HYPERLIQUID_BASE_URL || 'https://api.hyperliquid.xyz',
+            wsUrl: process.env.HYPERLIQUID_WS_URL || 'wss://api.hyperliquid.xyz/ws'
+        },
+        bitget: {
+            enabled: true,
+            fetchInterval: 60000,
+            retryAttempts: 3,
+            timeout: 10000
+        },
+        gate: {
+            enabled: true,
+            fetchInterval: 60000,
+            fundingReconcileInterval: 600000,
+            fundingStreamTimeout: 120000,
+            retryAttempts: 3,
+            timeout: 10000
+        },
+        kucoin: {
+            enabled: true,
+            fetchInterval: 60000,
+            retryAttempts: 3,
+            timeout: 10000
+        },
+        // dYdX v4 Indexer
+        dydx: {
+            enabled: true,
+            fetchInterval: Number(process.env.DYDX_FETCH_INTERVAL || 60000),
+            retryAttempts: 3,
+            timeout: 15000,
+            baseUrl: process.env.DYDX_INDEXER_URL || 'https://indexer.dydx.trade/v4',
+            wsUrl: process.env.DYDX_WS_URL || 'wss://indexer.dydx.trade/v4/ws',
+            subscribeDelay: 100
+        },
+        // Binance 合约兼容接口（/fapi/v1/exchangeInfo、premiumIndex、fundingInfo、!ticker@arr）的交易所
+        // binanceCompatible 为 true 时复用 BinanceExchange；可选：label、quoteAsset、contractType、baseAliases
+        aster: {
+            enabled: true,
+            binanceCompatible: true,
+            name: 'Aster',
+            restUrl: process.env.ASTER_REST_URL || 'https://fapi.asterdex.com',
+            wsUrl: process.env.ASTER_WS_URL || 'wss://fstream.asterdex.com',
+            fetchInterval: 60000,
+            retryAttempts: 3,
+            timeout: 10000
+        },
+        // 通用 ccxt 适配器：配置 ccxtId 即可接入任意支持 fetchTickers / fetchFundingRates 的交易所
+        // 可选：name、label（聚合结果中的键）、quote（默认 USDT）、tickerInterval（ticker 轮询节流，毫秒）、
+        // fetchInterval（资金费率拉取间隔，毫秒，默认 60000）；ccxtId 无效的配置项在启动时记录错误并跳过
+        mexc: {
+            enabled: false,
+            ccxtId: 'mexc',
+            fetchInterval: 60000,
+            timeout: 10000
+        },
+        phemex: {
+            enabled: false,
+            ccxtId: 'phemex',
+            fetchInterval: 60000,
+            timeout: 10000
+        },
+        htx: {
+            enabled: false,
+            ccxtId: 'htx',
+            label: 'HTX',
+            fetchInterval: 60000,
+            timeout: 10000
         }
     },
 
+    // 交易所后台初始化重试（指数退避）；maxAttempts 为 0 表示无限重试
+    initRetry: {
+        maxAttempts: Number(process.env.INIT_MAX_ATTEMPTS || 10),
+        baseDelayMs: 2000,
+        maxDelayMs: 120000
+    },
+
     // 套利配置
     arbitrage: {
         updateInterval: 5000,
         minProfitThreshold: 0.5, // 价差套利最小阈值 
         minFundingThreshold: 0.5, // 费率差套利最小阈值 
         maxSpread: 10,
-        enabledPairs: ['BTC/USDT', 'ETH/USDT', 'BNB/USDT']
+        maxDegradedAgeMs: 60000, // 交易所拉取失败时，最近一次成功数据可继续参与聚合的最长时间
+        tickerStreamTimeout: 60000, // WS 推送行情的交易所连接断开或超过该时间未收到消息时，fetchTickers 按失败处理（degraded）
+        enabledPairs: ['BTC/USDT', 'ETH/USDT', 'BNB/USDT'],
+        // 可成交价差：对 mid 价差最大的 maxTokens 个币种按订单簿计算各名义金额（USDT）下的成交均价
+        execution: {
+            enabled: process.env.EXECUTION_ENABLED !== 'false',
+            notionals: (process.env.EXECUTION_NOTIONALS || '10000,50000').split(',').map(Number).filter(n => n > 0),
+            maxTokens: 20,
+            depthLimit: 50 // 无 WS 盘口时 REST 快照的档位数
+        }
+    },
+
+    // 交易手续费（小数，0.0005 = 0.05%）：exchanges 为各交易所公开的基础费率，未列出的交易所使用 default
+    // vip 为账户实际费率（VIP 等级），按交易所 id 覆盖，例如 FEE_VIP='{"binance":{"maker":0.00016,"taker":0.0004}}'
+    fees: {
+        orderType: process.env.FEE_ORDER_TYPE || 'taker', // 计算净价差时开平仓使用的费率：taker / maker
+        holdingHours: 24, // 净资金费率收益按该持仓时长计算
+        default: { maker: 0.0002, taker: 0.0005 },
+        exchanges: {
+            binance: { maker: 0.0002, taker: 0.0005 },
+            okx: { maker: 0.0002, taker: 0.0005 },
+            bybit: { maker: 0.0002, taker: 0.00055 },
+            backpack: { maker: 0.0002, taker: 0.0005 },
+            edgex: { maker: 0.00018, taker: 0.00038 },
+            hyperliquid: { maker: 0.00015, taker: 0.00045 },
+            bitget: { maker: 0.0002, taker: 0.0006 },
+            gate: { maker: 0.0002, taker: 0.0005 },
+            kucoin: { maker: 0.0002, taker: 0.0006 },
+            dydx: { maker: 0.0001, taker: 0.0005 },
+            aster: { maker: 0.0001, taker: 0.00035 }
+        },
+        vip: process.env.FEE_VIP ? JSON.parse(process.env.FEE_VIP) : {}
+    },
+
+    // 历史数据：本地文件存储，不依赖外部数据库
+    history: {
+        dataDir: process.env.HISTORY_DATA_DIR || path.join(__dirname, '../data'),
+        // 资金费率结算历史：启动后回填 backfillDays 天，之后每 recordInterval 记录一次观察到的结算
+        funding: {
+            enabled: process.env.FUNDING_HISTORY_ENABLED !== 'false',
+            backfillDays: 7,
+            retentionDays: 30,
+            recordInterval: 60000,
+            backfillDelay: 200 // 回填请求间隔，避免占用实时数据的限频额度
+        },
+        // 聚合快照：每个币种、交易所的 mid 价 / 资金费率 / 下次结算时间 / 成交量
+        // resolution 为原始层分辨率（毫秒），downsample 为更粗的降采样层，各层独立保留
+        snapshots: {
+            enabled: process.env.SNAPSHOTS_ENABLED !== 'false',
+            resolution: Number(process.env.SNAPSHOT_RESOLUTION_MS || 60000),
+            retentionDays: 3,
+            downsample: [
+                { resolution: 15 * 60000, retentionDays: 30 },
+                { resolution: 60 * 60000, retentionDays: 180 }
+            ],
+            minExchanges: 2 // 只记录至少在两个交易所上线的币种
+        }
+    },
+
+    // 订单簿深度：被查询的合约按需订阅 WS 深度，不支持或过期时回退 REST 快照
+    orderbook: {
+        watchTtl: 5 * 60 * 1000,   // 超过该时间未被查询的合约退订
+        maxWatchedPerExchange: 50,
+        snapshotTtl: 10000,        // REST 快照复用时间，需不短于 arbitrage.updateInterval
+        staleMs: 10000,            // WS 盘口超过该时间未更新视为过期
+        defaultLimit: 20,
+        maxLimit: 200
     },
 
     // 日志配置
@@ -75,6 +222,11 @@ const config = {
         enableWebSocketLogs: process.env.ENABLE_WEBSOCKET_LOGS !== 'false' // 是否显示WebSocket日志
     },
 
+    // 管理接口配置（/api/admin/*）；未设置 token 时仅允许本机访问
+    admin: {
+        token: process.env.ADMIN_TOKEN || null
+    },
+
     // 代理配置
     proxy: {
         enabled: process.env.USE_PROXY === 'true',
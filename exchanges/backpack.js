@@ -3,21 +3,30 @@ const WebSocket = require('ws');
 const { getProxyAgent } = require('../utils/proxy');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const BaseExchange = require('./base');
+const { normalizeLevels, bookFromMaps, applyLevels } = require('../utils/orderbook');
 
-class BackpackExchange {
+class BackpackExchange extends BaseExchange {
     constructor() {
-        this.name = 'Backpack';
+        super('backpack', 'Backpack');
         this.exchange = null;
-        this.fundingMap = {};
         this.proxyAgent = getProxyAgent();
         this.ws = null;
-        this.tickers = {};
         this.baseUrl = 'https://api.backpack.exchange';
         this.wsUrl = 'wss://ws.backpack.exchange';
         this.reconnectInterval = 5000;
         this.pingInterval = 30000;
         this.isConnecting = false;
+        // 连接状态统计：reconnectAttempts 为连接成功前的连续重连次数，totalReconnects 为累计重连次数
+        this.reconnectAttempts = 0;
+        this.totalReconnects = 0;
+        this.lastMessageTime = null;
         this.markets = {};
+        // 按需订阅的 depth.<symbol> 增量流，需用 REST 快照的 lastUpdateId 对齐
+        this.depthSymbols = new Set();
+        this.books = {};          // 统一符号 -> { bids: Map, asks: Map, lastUpdateId, timestamp }
+        this.pendingDepth = {};   // 快照返回前收到的增量
+        this.wsBookDepth = 1000;
     }
 
     async initialize() {
@@ -81,16 +90,24 @@ class BackpackExchange {
             this.ws.on('open', () => {
                 logger.websocket('backpack', null, 'WebSocket connected successfully');
                 this.isConnecting = false;
+                this.reconnectAttempts = 0;
+                this.lastMessageTime = Date.now();
 
                 // 订阅所有市场的ticker数据
                 this.subscribeToTickers();
 
+                // 重连后恢复深度订阅并重新对齐快照
+                for (const symbol of this.depthSymbols) {
+                    this.subscribeDepth(symbol);
+                }
+
                 // 设置心跳
                 this.startPing();
             });
 
             this.ws.on('message', (data) => {
                 try {
+                    this.lastMessageTime = Date.now();
                     const message = JSON.parse(data.toString());
                     this.handleMessage(message);
                 } catch (error) {
@@ -101,6 +118,8 @@ class BackpackExchange {
             this.ws.on('close', () => {
                 logger.exchangeWarn('backpack', null, 'websocket', 'WebSocket disconnected, attempting to reconnect');
                 this.isConnecting = false;
+                this.books = {}; // 断线期间深度不再更新
+                this.pendingDepth = {};
                 this.scheduleReconnect();
             });
 
@@ -145,6 +164,9 @@ class BackpackExchange {
                 case 'ticker':
                     this.handleTickerUpdate(symbol, message.data);
                     break;
+                case 'depth':
+                    this.handleDepthUpdate(symbol, message.data);
+                    break;
                 default:
                     // 处理其他类型的消息
                     break;
@@ -155,7 +177,7 @@ class BackpackExchange {
     handleTickerUpdate(symbol, data) {
         // 将 Backpack 符号统一到 BASE/USDT:USDT，便于与其他交易所合并
         const unifiedSymbol = this.convertSymbolToUnified(symbol);
-        this.tickers[unifiedSymbol] = {
+        this.tickersMap[unifiedSymbol] = {
             symbol: unifiedSymbol,
             last: parseFloat(data.c || data.lastPrice),
             bid: parseFloat(data.b || data.bidPrice),
@@ -163,12 +185,124 @@ class BackpackExchange {
             high: parseFloat(data.h || data.highPrice),
             low: parseFloat(data.l || data.lowPrice),
             volume: parseFloat(data.v || data.volume),
-            quoteVolume: parseFloat(data.q || data.quoteVolume),
+            baseVolume: parseFloat(data.v || data.volume),
+            // ticker 推送中成交额字段为 V
+            quoteVolume: parseFloat(data.V || data.q || data.quoteVolume),
             change: parseFloat(data.P || data.priceChangePercent),
             timestamp: parseInt(data.E || Date.now())
         };
     }
 
+    // 统一符号 -> Backpack 合约名（BTC/USDT:USDT -> BTC_USDC_PERP）
+    marketSymbolFor(symbol) {
+        return Object.keys(this.markets)
+            .find(s => s.endsWith('_PERP') && this.convertSymbolToUnified(s) === symbol) || null;
+    }
+
+    subscribeDepth(symbol) {
+        const marketSymbol = this.marketSymbolFor(symbol);
+        if (!marketSymbol || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        this.ws.send(JSON.stringify({ method: 'SUBSCRIBE', params: [`depth.${marketSymbol}`] }));
+        this.syncBook(symbol);
+    }
+
+    // 先订阅增量再拉快照：快照之后的增量（u > lastUpdateId）按顺序补上
+    async syncBook(symbol) {
+        delete this.books[symbol];
+        this.pendingDepth[symbol] = [];
+        try {
+            const snapshot = await this.requestDepth(symbol);
+            if (!this.depthSymbols.has(symbol)) return;
+            const book = {
+                bids: new Map(),
+                asks: new Map(),
+                lastUpdateId: Number(snapshot.lastUpdateId) || 0,
+                timestamp: Date.now()
+            };
+            applyLevels(book.bids, snapshot.bids);
+            applyLevels(book.asks, snapshot.asks);
+            this.books[symbol] = book;
+
+            const pending = this.pendingDepth[symbol] || [];
+            delete this.pendingDepth[symbol];
+            for (const data of pending) this.applyDepth(symbol, data);
+        } catch (error) {
+            delete this.pendingDepth[symbol];
+            logger.exchangeWarn('backpack', 'DEPTH', `Depth snapshot failed for ${symbol}`, { error: error.message });
+        }
+    }
+
+    handleDepthUpdate(marketSymbol, data) {
+        const symbol = this.convertSymbolToUnified(marketSymbol);
+        if (!this.depthSymbols.has(symbol)) return;
+        if (this.pendingDepth[symbol]) {
+            this.pendingDepth[symbol].push(data);
+            return;
+        }
+        this.applyDepth(symbol, data);
+    }
+
+    applyDepth(symbol, data) {
+        const book = this.books[symbol];
+        if (!book) return;
+        const firstId = Number(data.U);
+        const lastId = Number(data.u);
+        if (lastId <= book.lastUpdateId) return;
+        // 增量不连续：丢弃盘口重新对齐
+        if (firstId > book.lastUpdateId + 1) {
+            this.syncBook(symbol);
+            return;
+        }
+        applyLevels(book.bids, data.b);
+        applyLevels(book.asks, data.a);
+        book.lastUpdateId = lastId;
+        book.timestamp = Date.now();
+    }
+
+    watchOrderBook(symbol) {
+        if (!this.marketSymbolFor(symbol)) return false;
+        if (!this.depthSymbols.has(symbol)) {
+            this.depthSymbols.add(symbol);
+            this.subscribeDepth(symbol);
+        }
+        return true;
+    }
+
+    unwatchOrderBook(symbol) {
+        if (!this.depthSymbols.delete(symbol)) return;
+        const marketSymbol = this.marketSymbolFor(symbol);
+        if (marketSymbol && this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ method: 'UNSUBSCRIBE', params: [`depth.${marketSymbol}`] }));
+        }
+        delete this.books[symbol];
+        delete this.pendingDepth[symbol];
+    }
+
+    getOrderBook(symbol, limit = this.wsBookDepth) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return null;
+        return bookFromMaps(this.books[symbol], limit);
+    }
+
+    async requestDepth(symbol) {
+        const marketSymbol = this.marketSymbolFor(symbol);
+        if (!marketSymbol) throw new Error(`Backpack: unknown symbol ${symbol}`);
+        const response = await axios.get(`${this.baseUrl}/api/v1/depth`, {
+            params: { symbol: marketSymbol },
+            httpsAgent: this.proxyAgent,
+            timeout: 10000
+        });
+        return response.data || {};
+    }
+
+    async fetchOrderBook(symbol, limit = 20) {
+        const snapshot = await this.requestDepth(symbol);
+        return {
+            bids: normalizeLevels(snapshot.bids, 'bids', limit),
+            asks: normalizeLevels(snapshot.asks, 'asks', limit),
+            timestamp: Date.now()
+        };
+    }
+
     startPing() {
         if (this.pingTimer) {
             clearInterval(this.pingTimer);
@@ -185,6 +319,8 @@ class BackpackExchange {
         if (this.reconnectTimer) {
             clearTimeout(this.reconnectTimer);
         }
+        this.reconnectAttempts++;
+        this.totalReconnects++;
 
         this.reconnectTimer = setTimeout(() => {
             this.connectWebSocket();
@@ -205,8 +341,8 @@ class BackpackExchange {
     async fetchTickers() {
         try {
             // 如果WebSocket数据可用，返回实时数据（此处的键已统一为 /USDT:USDT）
-            if (Object.keys(this.tickers).length > 0) {
-                return this.tickers;
+            if (Object.keys(this.tickersMap).length > 0) {
+                return this.tickersMap;
             }
 
             // 如果WebSocket数据不可用，使用REST API获取
@@ -231,6 +367,7 @@ class BackpackExchange {
                             high: parseFloat(ticker.highPrice || ticker.h),
                             low: parseFloat(ticker.lowPrice || ticker.l),
                             volume: parseFloat(ticker.volume || ticker.v),
+                            baseVolume: parseFloat(ticker.volume || ticker.v),
                             quoteVolume: parseFloat(ticker.quoteVolume || ticker.q),
                             change: parseFloat(ticker.priceChangePercent || ticker.P),
                             timestamp: parseInt(ticker.closeTime || ticker.E || Date.now())
@@ -250,6 +387,26 @@ class BackpackExchange {
         }
     }
 
+    // 全市场标记价格，按交易所原始 symbol（如 BTC_USDC_PERP）索引；失败时返回空表，退回历史结算费率
+    async fetchMarkPrices() {
+        try {
+            const response = await axios.get(`${this.baseUrl}/api/v1/markPrices`, {
+                httpsAgent: this.proxyAgent,
+                timeout: 10000
+            });
+            const bySymbol = {};
+            for (const item of Array.isArray(response.data) ? response.data : []) {
+                if (item?.symbol) bySymbol[item.symbol] = item;
+            }
+            return bySymbol;
+        } catch (error) {
+            logger.exchangeWarn('backpack', 'FUNDING', 'markPrices unavailable, using last settled funding rates', {
+                error: error.message
+            });
+            return {};
+        }
+    }
+
     async fetchFundingInfo(symbols) {
         try {
             // 删除有问题的CCXT逻辑，直接使用HTTP API实现
@@ -267,6 +424,9 @@ class BackpackExchange {
                 return;
             }
 
+            // markPrices 提供本期预测费率与下次结算时间；fundingRates 历史只包含已结算的记录
+            const markPrices = await this.fetchMarkPrices();
+
             // 原来这里是：this.fundingMap = {};
             const newFundingMap = {};
             let successCount = 0;
@@ -339,7 +499,9 @@ class BackpackExchange {
                                     return null;
                                 }
 
-                                const intervalHours = Number(latestFunding.fundingIntervalHours) || 8;
+                                // 结算周期优先取市场元数据 fundingInterval（毫秒），其次费率记录中的字段
+                                const intervalHours = (Number(market.fundingInterval) > 0 ? Number(market.fundingInterval) / 3600000 : null)
+                                    || Number(latestFunding.fundingIntervalHours) || 8;
                                 const intervalMs = intervalHours * 60 * 60 * 1000;
 
                                 const nfCandidates = [
@@ -390,9 +552,23 @@ class BackpackExchange {
                                     }
                                 }
 
+                                const mark = markPrices[symbol];
+                                const markNextFundingMs = parseFlexibleTimeToMs(mark?.nextFundingTimestamp);
+                                if (markNextFundingMs != null) {
+                                    nextFundingTimeMs = markNextFundingMs;
+                                }
+
+                                const lastSettledFundingRate = parseFloat(latestFunding.fundingRate);
+                                const predictedFundingRate = mark && mark.fundingRate != null
+                                    ? parseFloat(mark.fundingRate)
+                                    : null;
+
                                 // 将结果写入临时 map，避免本轮失败清空历史数据
                                 newFundingMap[unifiedSymbol] = {
-                                    fundingRate: parseFloat(latestFunding.fundingRate),
+                                    fundingRate: predictedFundingRate ?? lastSettledFundingRate,
+                                    predictedFundingRate,
+                                    lastSettledFundingRate,
+                                    lastSettlementTime: parseFlexibleTimeToMs(latestFunding.intervalEndTimestamp),
                                     fundingTime: nextFundingTimeMs,
                                     nextFundingTime: nextFundingTimeMs,
                                     fundingInterval: intervalHours
@@ -447,8 +623,26 @@ class BackpackExchange {
         }
     }
 
-    getFundingMap() {
-        return this.fundingMap;
+    // fundingRates 按时间倒序返回已结算记录，intervalEndTimestamp 为结算时间（无时区，按 UTC）
+    async fetchFundingHistory(symbol, since) {
+        const marketSymbol = this.marketSymbolFor(symbol);
+        if (!marketSymbol) return [];
+
+        const response = await axios.get(`${this.baseUrl}/api/v1/fundingRates`, {
+            params: { symbol: marketSymbol, limit: 1000 },
+            httpsAgent: this.proxyAgent,
+            timeout: 10000
+        });
+        return (Array.isArray(response.data) ? response.data : [])
+            .map(item => {
+                const end = String(item.intervalEndTimestamp || '');
+                return {
+                    fundingTime: Date.parse(/[zZ]|[+-]\d{2}:?\d{2}$/.test(end) ? end : `${end}Z`),
+                    fundingRate: parseFloat(item.fundingRate)
+                };
+            })
+            .filter(item => item.fundingTime >= since)
+            .sort((a, b) => a.fundingTime - b.fundingTime);
     }
 
     disconnect() {
@@ -462,12 +656,26 @@ class BackpackExchange {
 
         if (this.ws) {
             this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
             this.ws.close();
             this.ws = null;
         }
+        this.isConnecting = false;
+        this.books = {};
+        this.pendingDepth = {};
 
         logger.exchangeInfo('backpack', null, 'disconnect', 'Exchange disconnected');
     }
+
+    getConnectionStatus() {
+        return {
+            connected: !!(this.ws && this.ws.readyState === WebSocket.OPEN),
+            reconnectAttempts: this.reconnectAttempts,
+            totalReconnects: this.totalReconnects,
+            lastMessageTime: this.lastMessageTime,
+            cachedTickers: Object.keys(this.tickersMap).length
+        };
+    }
 }
 
 module.exports = BackpackExchange;
\ No newline at end of file
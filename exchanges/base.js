@@ -0,0 +1,147 @@
+const config = require('../config/config');
+
+// 交易所适配器基类：约定 index.js 聚合层依赖的统一接口
+// initialize / fetchTickers / fetchFundingInfo / getFundingMap / getConnectionStatus / disconnect
+class BaseExchange {
+    /**
+     * @param {string} id    与 config.exchanges 的键一致，同时用作日志标签，例如 'binance'
+     * @param {string} name  展示名称，例如 'Binance'
+     * @param {string} [label] 聚合结果（tokenData.exchanges）中使用的键，默认 id 大写
+     */
+    constructor(id, name, label) {
+        this.id = id;
+        this.name = name;
+        this.label = label || id.toUpperCase();
+        // symbol -> { fundingRate, fundingTime, fundingInterval, predictedFundingRate, lastSettledFundingRate, ... }
+        // fundingTime 为下次结算时间；predictedFundingRate 为下次结算预计使用的费率，lastSettledFundingRate 为上一次实际结算费率
+        // lastSettlementTime 为上一次结算时间（毫秒），资金费率历史据此记录结算事件
+        this.fundingMap = {};
+        // symbol -> ccxt 风格 ticker；baseVolume 为币数量，quoteVolume 为 24h 计价币（USDT/USD）成交额，
+        // 合约张数、名义金额等口径需由适配器换算，聚合层直接使用 quoteVolume 比较各交易所成交额
+        this.tickersMap = {};
+        // getOrderBook 可提供的最大档位数；请求更深的盘口时改用 REST 快照
+        this.wsBookDepth = 0;
+    }
+
+    async initialize() {
+        throw new Error(`${this.name}: initialize() not implemented`);
+    }
+
+    // 默认返回 WS/轮询维护的缓存
+    async fetchTickers() {
+        return this.tickersMap;
+    }
+
+    async fetchFundingInfo() {
+        throw new Error(`${this.name}: fetchFundingInfo() not implemented`);
+    }
+
+    getFundingMap() {
+        return this.fundingMap;
+    }
+
+    // 写入单个合约的资金费率。交易所未直接给出上次结算费率时，
+    // 通过下次结算时间前移判断已完成一次结算：此前的预测费率即为该期的结算费率
+    updateFunding(symbol, entry) {
+        const existing = this.fundingMap[symbol];
+        const next = { ...existing, ...entry };
+
+        if (entry.predictedFundingRate === undefined) {
+            next.predictedFundingRate = entry.fundingRate;
+        }
+        if (entry.lastSettledFundingRate === undefined) {
+            const settled = existing && existing.fundingTime && entry.fundingTime && entry.fundingTime > existing.fundingTime;
+            next.lastSettledFundingRate = settled
+                ? (existing.predictedFundingRate ?? existing.fundingRate)
+                : (existing?.lastSettledFundingRate ?? null);
+            if (settled) next.lastSettlementTime = existing.fundingTime;
+        } else if (entry.lastSettlementTime === undefined && next.fundingTime && next.fundingInterval) {
+            // 交易所直接给出结算费率但未给时间：按结算周期从下次结算时间回推
+            next.lastSettlementTime = next.fundingTime - next.fundingInterval * 3600000;
+        }
+
+        this.fundingMap[symbol] = next;
+        return next;
+    }
+
+    /**
+     * 拉取单个合约的历史结算费率，供资金费率历史回填使用
+     * @param {string} symbol 统一符号，例如 'BTC/USDT:USDT'
+     * @param {number} since  起始时间（毫秒，含）
+     * @returns {Promise<Array<{ fundingTime: number, fundingRate: number }>|null>} 按时间升序；null 表示交易所不支持
+     */
+    async fetchFundingHistory(symbol, since) {
+        return null;
+    }
+
+    /**
+     * REST 订单簿快照，size 统一为币的数量
+     * @param {string} symbol 统一符号
+     * @param {number} limit  每侧档位数
+     * @returns {Promise<{ bids: Array<[number, number]>, asks: Array<[number, number]>, timestamp: number }>}
+     */
+    async fetchOrderBook(symbol, limit) {
+        throw new Error(`${this.name}: fetchOrderBook() not implemented`);
+    }
+
+    // WebSocket 维护的订单簿（格式同 fetchOrderBook）；未订阅或连接断开时返回 null
+    getOrderBook(symbol, limit) {
+        return null;
+    }
+
+    // 按需订阅/退订单个合约的深度推送；返回 false 表示该交易所没有按需订阅的深度流
+    watchOrderBook(symbol) {
+        return false;
+    }
+
+    unwatchOrderBook(symbol) {}
+
+    // 默认连接状态；纯 REST 适配器没有持久连接，connected 返回 null
+    getConnectionStatus() {
+        return {
+            connected: typeof this.isConnected === 'boolean' ? this.isConnected : null,
+            reconnectAttempts: this.reconnectAttempts || 0,
+            totalReconnects: this.totalReconnects || 0,
+            lastMessageTime: this.lastMessageTime || null,
+            cachedTickers: Object.keys(this.tickersMap).length
+        };
+    }
+
+    // 行情由 WS 推送维护的适配器在 fetchTickers 中调用：连接断开或超过 tickerStreamTimeout 未收到消息时抛错，
+    // 聚合层据此标记 degraded，缓存的 tickers 只在 maxDegradedAgeMs 内继续参与聚合
+    assertStreamFresh() {
+        if (!this.isConnected) {
+            throw new Error('WebSocket not connected');
+        }
+        const messageAge = this.lastMessageTime ? Date.now() - this.lastMessageTime : 0;
+        if (messageAge > config.arbitrage.tickerStreamTimeout) {
+            throw new Error(`No WebSocket message for ${Math.round(messageAge / 1000)}s`);
+        }
+    }
+
+    // 资金费率由 WS 实时推送的适配器使用：推送中断、连接断开或到达对账周期时才需要走 REST
+    // 依赖 this.lastFundingMessageTime（最近一次资金费率推送）与 this.lastFundingReconcile（最近一次 REST 对账）
+    needsFundingReconcile() {
+        const options = config.exchanges[this.id] || {};
+        const reconcileInterval = options.fundingReconcileInterval || 600000;
+        const streamTimeout = options.fundingStreamTimeout || 120000;
+        const now = Date.now();
+
+        if (!this.isConnected || !this.lastFundingMessageTime) return true;
+        if (now - this.lastFundingMessageTime > streamTimeout) return true;
+        return now - (this.lastFundingReconcile || 0) >= reconcileInterval;
+    }
+
+    // 默认无持久连接需要释放
+    disconnect() {}
+
+    // 停用时清空缓存，避免重新启用后短时间内输出过期数据
+    clearCache() {
+        this.tickersMap = {};
+        this.fundingMap = {};
+        this.lastFundingMessageTime = null;
+        this.lastFundingReconcile = null;
+    }
+}
+
+module.exports = BaseExchange;
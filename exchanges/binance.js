@@ -3,13 +3,31 @@ const axios = require('axios');
 const { getProxyAgent } = require('../utils/proxy');
 const logger = require('../utils/logger');
 const config = require('../config/config');
-
-class BinanceExchange {
-    constructor() {
-        this.name = 'Binance';
-        this.fundingMap = {};
-        this.tickersMap = {}; // WebSocket ticker数据缓存
+const BaseExchange = require('./base');
+const { normalizeLevels } = require('../utils/orderbook');
+
+// Binance U 本位合约；同一套 REST/WS 接口（exchangeInfo、premiumIndex、fundingInfo、!ticker@arr）
+// 也被 Aster 等兼容交易所沿用，通过构造参数替换地址、名称与符号规则即可复用
+class BinanceExchange extends BaseExchange {
+    /**
+     * @param {object} [options] 默认即 Binance 本身
+     *   { id, name, label, restUrl, wsUrl, quoteAsset, contractType, baseAliases, timeout }
+     *   contractType 设为 null 时不按合约类型过滤（部分兼容交易所不返回该字段）
+     */
+    constructor(options = {}) {
+        super(options.id || 'binance', options.name || 'Binance', options.label);
         this.proxyAgent = getProxyAgent();
+        this.restUrl = options.restUrl || 'https://fapi.binance.com';
+        this.wsUrl = options.wsUrl || 'wss://fstream.binance.com';
+        this.quoteAsset = options.quoteAsset || 'USDT';
+        this.contractType = options.contractType === undefined ? 'PERPETUAL' : options.contractType;
+        this.baseAliases = options.baseAliases || {}; // 交易所币种名 -> 统一币种名，例如 { XBT: 'BTC' }
+        this.requestTimeout = options.timeout || config.exchanges[this.id]?.timeout || 10000;
+        this.symbolById = {}; // 'BTCUSDT' -> 'BTC/USDT:USDT'
+        // 按需订阅的深度流：<symbol>@depth20@100ms 每次推送完整的前 20 档
+        this.depthSymbols = new Set();
+        this.books = {};      // 统一符号 -> { bids, asks, timestamp }
+        this.wsBookDepth = 20;
         this.ws = null;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
@@ -17,6 +35,7 @@ class BinanceExchange {
         this.isConnected = false;
         this.markets = null;
         this.pingInterval = null;
+        this.reconnectTimer = null;
 
         // Enhanced error handling properties
         this.lastMessageTime = null;
@@ -26,27 +45,34 @@ class BinanceExchange {
         this.totalReconnects = 0;
         this.lastErrorType = null;
         this.consecutiveErrors = 0;
+
+        // 资金费率：!markPrice@arr 实时推送，REST 仅做周期对账
+        this.lastFundingMessageTime = null;
+        this.lastFundingReconcile = null;
     }
 
     async initialize() {
         try {
             // 获取交易对信息
-            const exchangeInfo = await axios.get('https://fapi.binance.com/fapi/v1/exchangeInfo', {
-                httpsAgent: this.proxyAgent
+            const exchangeInfo = await axios.get(`${this.restUrl}/fapi/v1/exchangeInfo`, {
+                httpsAgent: this.proxyAgent,
+                timeout: this.requestTimeout
             });
 
-            // 构建市场映射（仅保留 USDT 永续 PERPETUAL）
+            // 构建市场映射（仅保留 quoteAsset 本位的永续）
             this.markets = {};
+            this.symbolById = {};
             let total = 0;
             let kept = 0;
             for (const symbol of exchangeInfo.data.symbols) {
                 total++;
                 if (
                     symbol.status === 'TRADING' &&
-                    symbol.contractType === 'PERPETUAL' &&   // 只要永续
-                    symbol.quoteAsset === 'USDT'            // 只要 USDT 本位
+                    (!this.contractType || symbol.contractType === this.contractType) &&   // 只要永续
+                    symbol.quoteAsset === this.quoteAsset            // 只要 quoteAsset 本位（默认 USDT）
                 ) {
-                    const ccxtSymbol = symbol.symbol.replace('USDT', '/USDT:USDT');
+                    const ccxtSymbol = this.toUnifiedSymbol(symbol);
+                    this.symbolById[symbol.symbol] = ccxtSymbol;
                     this.markets[ccxtSymbol] = {
                         id: symbol.symbol,
                         symbol: ccxtSymbol,
@@ -57,17 +83,26 @@ class BinanceExchange {
                     kept++;
                 }
             }
+            if (kept === 0) {
+                throw new Error(`No ${this.quoteAsset} perpetual symbols found in exchangeInfo`);
+            }
 
             // 启动WebSocket连接
             await this.connectWebSocket();
 
-            logger.exchangeInit('binance', true, `Exchange initialized successfully with ${Object.keys(this.markets).length} active PERPETUAL USDT symbols (kept ${kept}/${total})`);
+            logger.exchangeInit(this.id, true, `Exchange initialized successfully with ${Object.keys(this.markets).length} active perpetual ${this.quoteAsset} symbols (kept ${kept}/${total})`);
         } catch (error) {
-            logger.exchangeError('binance', false, 'initialization', 'Failed to initialize exchange', error);
+            logger.exchangeError(this.id, false, 'initialization', 'Failed to initialize exchange', error);
             throw error;
         }
     }
 
+    // BTCUSDT -> BTC/USDT:USDT（按 exchangeInfo 的 baseAsset/quoteAsset 拼接，不做字符串替换）
+    toUnifiedSymbol(symbolInfo) {
+        const base = this.baseAliases[symbolInfo.baseAsset] || symbolInfo.baseAsset;
+        return `${base}/${symbolInfo.quoteAsset}:${symbolInfo.quoteAsset}`;
+    }
+
     async connectWebSocket() {
         try {
             if (this.ws) {
@@ -75,7 +110,8 @@ class BinanceExchange {
             }
 
             this.connectionStartTime = Date.now();
-            const wsUrl = 'wss://fstream.binance.com/stream?streams=!ticker@arr';
+            // !ticker@arr 提供行情，!markPrice@arr 每 3s 推送全市场标记价格与资金费率
+            const wsUrl = `${this.wsUrl}/stream?streams=!ticker@arr/!markPrice@arr`;
 
             // 优化连接选项
             const wsOptions = {
@@ -97,7 +133,7 @@ class BinanceExchange {
             // 设置连接超时
             const connectionTimeout = setTimeout(() => {
                 if (this.ws.readyState === WebSocket.CONNECTING) {
-                    logger.exchangeError('binance', null, 'connection_timeout', 'WebSocket connection timeout');
+                    logger.exchangeError(this.id, null, 'connection_timeout', 'WebSocket connection timeout');
                     this.ws.terminate();
                 }
             }, 15000); // 15秒连接超时
@@ -110,7 +146,10 @@ class BinanceExchange {
                 this.lastErrorType = null;
                 this.lastMessageTime = Date.now();
 
-                logger.exchangeInfo('binance', null, `WebSocket connected successfully (total reconnects: ${this.totalReconnects})`);
+                logger.exchangeInfo(this.id, null, `WebSocket connected successfully (total reconnects: ${this.totalReconnects})`);
+
+                // 重连后恢复深度订阅
+                this.sendDepthSubscription('SUBSCRIBE', [...this.depthSymbols]);
 
                 // 设置ping/pong处理和健康检查
                 //this.setupPingPong();
@@ -127,11 +166,20 @@ class BinanceExchange {
                     // 处理ticker数组流数据
                     if (message.stream === '!ticker@arr' && Array.isArray(message.data)) {
                         this.processTickers(message.data);
+                    } else if (message.stream === '!markPrice@arr' && Array.isArray(message.data)) {
+                        this.processMarkPrices(message.data);
+                    } else if (message.stream && message.stream.endsWith('@depth20@100ms') && message.data) {
+                        this.processDepth(message.data);
+                    } else if (message.id !== undefined && message.stream === undefined) {
+                        // SUBSCRIBE / UNSUBSCRIBE 确认
+                        if (message.error) {
+                            logger.exchangeWarn(this.id, 'WEBSOCKET', 'Depth subscription failed', { error: message.error });
+                        }
                     } else if (Array.isArray(message)) {
                         // 兼容直接数组格式
                         this.processTickers(message);
                     } else {
-                        logger.exchangeError('binance', null, 'message_format', `Unexpected message format: ${JSON.stringify(message).substring(0, 200)}`);
+                        logger.exchangeError(this.id, null, 'message_format', `Unexpected message format: ${JSON.stringify(message).substring(0, 200)}`);
                     }
                 } catch (error) {
                     this.handleProcessingError('message_parsing', error);
@@ -184,7 +232,7 @@ class BinanceExchange {
 
         // 检查是否长时间没有收到消息
         if (this.lastMessageTime && (now - this.lastMessageTime) > this.messageTimeout) {
-            logger.exchangeError('binance', null, 'health_check',
+            logger.exchangeError(this.id, null, 'health_check',
                 `No messages received for ${Math.round((now - this.lastMessageTime) / 1000)}s, connection may be stale`);
 
             // 强制重连
@@ -194,7 +242,7 @@ class BinanceExchange {
 
         // 检查WebSocket状态
         if (this.ws && this.ws.readyState !== WebSocket.OPEN) {
-            logger.exchangeError('binance', null, 'health_check',
+            logger.exchangeError(this.id, null, 'health_check',
                 `WebSocket in invalid state: ${this.ws.readyState}`);
             this.forceReconnect('invalid_state');
             return;
@@ -203,13 +251,15 @@ class BinanceExchange {
         // 连接健康
         if (config.logging.enableDetailedLogs) {
             const uptime = Math.round((now - this.connectionStartTime) / 1000);
-            logger.exchangeInfo('binance', null,
+            logger.exchangeInfo(this.id, null,
                 `Connection healthy - uptime: ${uptime}s, cached tickers: ${Object.keys(this.tickersMap).length}`);
         }
     }
 
     handleConnectionClose(code, reason) {
         this.isConnected = false;
+        this.books = {}; // 断线期间深度不再更新
+
         this.clearPingInterval();
         this.clearHealthMonitoring();
 
@@ -222,7 +272,7 @@ class BinanceExchange {
         else if (code === 1006) closeType = 'abnormal_closure';
         else if (code === 1011) closeType = 'server_error';
 
-        logger.exchangeError('binance', null, 'websocket',
+        logger.exchangeError(this.id, null, 'websocket',
             `WebSocket closed: ${code} (${closeType}) - ${reason}`);
 
         // 根据关闭类型决定重连策略
@@ -245,7 +295,7 @@ class BinanceExchange {
         else if (error.code === 'ETIMEDOUT') errorCategory = 'timeout';
         else if (error.code === 'ECONNRESET') errorCategory = 'connection_reset';
 
-        logger.exchangeError('binance', null, 'websocket',
+        logger.exchangeError(this.id, null, 'websocket',
             `WebSocket error (${errorCategory}): ${error.message} [consecutive: ${this.consecutiveErrors}]`, error);
 
         this.handleReconnect(errorCategory);
@@ -254,33 +304,34 @@ class BinanceExchange {
     handleProcessingError(errorType, error) {
         this.consecutiveErrors++;
 
-        logger.exchangeError('binance', null, errorType,
+        logger.exchangeError(this.id, null, errorType,
             `Processing error [consecutive: ${this.consecutiveErrors}]: ${error.message}`, error);
 
         // 如果连续处理错误过多，考虑重连
         if (this.consecutiveErrors >= 10) {
-            logger.exchangeError('binance', null, 'processing',
+            logger.exchangeError(this.id, null, 'processing',
                 `Too many consecutive processing errors (${this.consecutiveErrors}), forcing reconnect`);
             this.forceReconnect('processing_errors');
         }
     }
 
     forceReconnect(reason) {
-        logger.exchangeInfo('binance', null, `Forcing reconnection due to: ${reason}`);
+        logger.exchangeInfo(this.id, null, `Forcing reconnection due to: ${reason}`);
 
         if (this.ws) {
             this.ws.close();
         }
 
         // 立即尝试重连
-        setTimeout(() => {
+        this.clearReconnectTimer();
+        this.reconnectTimer = setTimeout(() => {
             this.handleReconnect(reason);
         }, 1000);
     }
 
     handleReconnect(errorType = 'unknown') {
         if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            logger.exchangeError('binance', null, 'websocket',
+            logger.exchangeError(this.id, null, 'websocket',
                 `Max reconnection attempts reached (${this.maxReconnectAttempts}). Last error: ${errorType}`);
             return;
         }
@@ -298,16 +349,24 @@ class BinanceExchange {
             delay = Math.min(delay * 1.5, 30000); // 服务器错误时适中延迟
         }
 
-        logger.exchangeInfo('binance', null,
+        logger.exchangeInfo(this.id, null,
             `Attempting to reconnect WebSocket in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}, reason: ${errorType})`);
 
-        setTimeout(() => {
+        this.clearReconnectTimer();
+        this.reconnectTimer = setTimeout(() => {
             this.connectWebSocket().catch(error => {
-                logger.exchangeError('binance', null, 'websocket', 'Reconnection failed', error);
+                logger.exchangeError(this.id, null, 'websocket', 'Reconnection failed', error);
             });
         }, delay);
     }
 
+    clearReconnectTimer() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
     clearPingInterval() {
         if (this.pingInterval) {
             clearInterval(this.pingInterval);
@@ -327,10 +386,10 @@ class BinanceExchange {
 
         for (const ticker of tickers) {
             try {
-                const symbol = ticker.s.replace('USDT', '/USDT:USDT');
+                const symbol = this.symbolById[ticker.s];
 
                 // 只处理我们支持的交易对
-                if (this.markets[symbol]) {
+                if (symbol) {
                     // 转换为ccxt格式的ticker数据
                     this.tickersMap[symbol] = {
                         symbol: symbol,
@@ -357,80 +416,129 @@ class BinanceExchange {
                     processedCount++;
                 }
             } catch (error) {
-                logger.exchangeError('binance', null, 'ticker_processing', `Failed to process ticker for ${ticker.s}`, error);
+                logger.exchangeError(this.id, null, 'ticker_processing', `Failed to process ticker for ${ticker.s}`, error);
             }
         }
 
         if (config.logging.enableTickerLogs) {
-            logger.tickerSuccess('binance', null, `Processed ${processedCount} tickers via WebSocket`);
+            logger.tickerSuccess(this.id, null, `Processed ${processedCount} tickers via WebSocket`);
+        }
+    }
+
+    // markPriceUpdate：r 为当前资金费率，T 为下次结算时间；结算周期沿用 REST 对账得到的值
+    processMarkPrices(items) {
+        let updated = 0;
+        for (const item of items) {
+            const symbol = this.symbolById[item.s];
+            const fundingRate = parseFloat(item.r);
+            if (!symbol || !Number.isFinite(fundingRate)) continue;
+
+            const existing = this.fundingMap[symbol];
+            this.updateFunding(symbol, {
+                fundingRate,
+                fundingTime: item.T || existing?.fundingTime || null,
+                fundingInterval: existing?.fundingInterval || 8
+            });
+            updated++;
+        }
+        this.lastFundingMessageTime = Date.now();
+
+        if (config.logging.enableDetailedFunding) {
+            logger.fundingSuccess(this.id, `Updated ${updated} funding rates via !markPrice@arr`);
         }
     }
 
     async fetchTickers() {
         try {
             if (!this.isConnected) {
-                logger.exchangeError('binance', null, 'ticker_fetch',
+                logger.exchangeError(this.id, null, 'ticker_fetch',
                     `WebSocket not connected (reconnects: ${this.totalReconnects}), returning cached data`);
             }
 
             // 检查缓存数据的新鲜度
             const cacheAge = this.lastMessageTime ? Date.now() - this.lastMessageTime : Infinity;
             if (cacheAge > 60000) { // 数据超过1分钟
-                logger.exchangeError('binance', null, 'ticker_fetch',
+                logger.exchangeError(this.id, null, 'ticker_fetch',
                     `Cached data is stale (${Math.round(cacheAge / 1000)}s old)`);
             }
 
             if (config.logging.enableTickerLogs) {
-                logger.tickerSuccess('binance', null,
+                logger.tickerSuccess(this.id, null,
                     `Returning ${Object.keys(this.tickersMap).length} cached tickers from WebSocket (age: ${Math.round(cacheAge / 1000)}s)`);
             }
 
             return this.tickersMap;
         } catch (error) {
-            logger.tickerError('binance', null, 'Failed to fetch tickers', error);
+            logger.tickerError(this.id, null, 'Failed to fetch tickers', error);
             return {};
         }
     }
 
     async fetchFundingInfo() {
         try {
+            if (!this.needsFundingReconcile()) {
+                if (config.logging.enableDetailedFunding) {
+                    logger.fundingInfo(this.id, 'Funding rates streaming via WebSocket, skipping REST reconcile');
+                }
+                return;
+            }
+
             // 修正：第二个参数是 message
-            logger.fundingInfo('binance', 'Starting funding rate fetch');
+            logger.fundingInfo(this.id, 'Starting funding rate fetch');
 
             // 获取资金费率数据
-            const fundingResponse = await axios.get('https://fapi.binance.com/fapi/v1/premiumIndex', {
-                httpsAgent: this.proxyAgent
+            const fundingResponse = await axios.get(`${this.restUrl}/fapi/v1/premiumIndex`, {
+                httpsAgent: this.proxyAgent,
+                timeout: this.requestTimeout
             });
 
-            // 获取资金费率间隔数据
-            const fundingInfoResponse = await axios.get('https://fapi.binance.com/fapi/v1/fundingInfo', {
-                httpsAgent: this.proxyAgent
-            });
+            // 获取资金费率间隔数据（仅返回非默认周期的交易对；兼容交易所可能未提供该接口）
+            const fundingIntervals = {};
+            try {
+                const fundingInfoResponse = await axios.get(`${this.restUrl}/fapi/v1/fundingInfo`, {
+                    httpsAgent: this.proxyAgent,
+                    timeout: this.requestTimeout
+                });
+                for (const info of fundingInfoResponse.data || []) {
+                    fundingIntervals[info.symbol] = parseInt(info.fundingIntervalHours);
+                }
+            } catch (error) {
+                logger.exchangeWarn(this.id, 'FUNDING', 'fundingInfo unavailable, assuming 8h intervals', {
+                    error: error.message
+                });
+            }
+
+            // 上次结算费率（兼容交易所可能未提供该接口）
+            const lastSettled = await this.fetchLastSettledRates();
 
-            // 处理资金费率数据
-            this.fundingMap = {};
+            // 处理资金费率数据（原地更新，保留结算前后的费率变化用于推断上次结算费率）
             let successCount = 0;
             let errorCount = 0;
 
             for (const item of fundingResponse.data) {
                 try {
-                    const symbol = item.symbol.replace('USDT', '/USDT:USDT');
+                    const symbol = this.symbolById[item.symbol];
+                    if (!symbol) continue;
 
                     // 查找对应的fundingInterval
-                    const fundingInfo = fundingInfoResponse.data.find(info => info.symbol === item.symbol);
-                    const fundingInterval = fundingInfo ? parseInt(fundingInfo.fundingIntervalHours) : 8;
+                    const fundingInterval = fundingIntervals[item.symbol] || 8;
 
-                    this.fundingMap[symbol] = {
+                    // premiumIndex 的 lastFundingRate 实为本期（下次结算）的实时费率
+                    this.updateFunding(symbol, {
                         fundingRate: parseFloat(item.lastFundingRate),
                         fundingTime: item.nextFundingTime,
-                        fundingInterval: fundingInterval
-                    };
+                        fundingInterval: fundingInterval,
+                        ...(lastSettled[item.symbol] ? {
+                            lastSettledFundingRate: lastSettled[item.symbol].fundingRate,
+                            lastSettlementTime: lastSettled[item.symbol].fundingTime
+                        } : {})
+                    });
 
                     successCount++;
 
                     if (config.logging.enableDetailedFunding) {
                         // 修正：第二个参数是 message，第三个是 data
-                        logger.fundingSuccess('binance', `${item.symbol} -> ${symbol}`, {
+                        logger.fundingSuccess(this.id, `${item.symbol} -> ${symbol}`, {
                             fundingRate: item.lastFundingRate,
                             nextFundingTime: item.nextFundingTime,
                             fundingInterval
@@ -439,11 +547,12 @@ class BinanceExchange {
                 } catch (itemError) {
                     errorCount++;
                     // 修正：第二个参数是 message，第三个是 error
-                    logger.fundingError('binance', `Failed to process funding data for ${item.symbol}`, itemError);
+                    logger.fundingError(this.id, `Failed to process funding data for ${item.symbol}`, itemError);
                 }
             }
 
-            logger.fundingSummary('binance', 'Funding rate fetch completed', {
+            this.lastFundingReconcile = Date.now();
+            logger.fundingSummary(this.id, 'Funding rate fetch completed', {
                 successCount,
                 errorCount,
                 totalSymbols: Object.keys(this.fundingMap).length,
@@ -452,26 +561,124 @@ class BinanceExchange {
 
         } catch (error) {
             // 修正：第二个参数是 message，第三个是 error
-            logger.fundingError('binance', 'Error fetching funding rates', error);
+            logger.fundingError(this.id, 'Error fetching funding rates', error);
         }
     }
 
-    getFundingMap() {
-        return this.fundingMap;
+    // GET /fapi/v1/fundingRate 不带 symbol 时返回全市场最近的结算记录，取每个合约最新一条
+    async fetchLastSettledRates() {
+        const rates = {};
+        try {
+            const response = await axios.get(`${this.restUrl}/fapi/v1/fundingRate`, {
+                params: { limit: 1000 },
+                httpsAgent: this.proxyAgent,
+                timeout: this.requestTimeout
+            });
+            for (const record of response.data || []) {
+                const time = Number(record.fundingTime);
+                if (!(time <= Date.now()) || time <= (rates[record.symbol]?.fundingTime || 0)) continue;
+                rates[record.symbol] = { fundingRate: parseFloat(record.fundingRate), fundingTime: time };
+            }
+        } catch (error) {
+            logger.exchangeWarn(this.id, 'FUNDING', 'fundingRate history unavailable, inferring last settled rates', {
+                error: error.message
+            });
+        }
+        return rates;
+    }
+
+    // 单个合约的历史结算费率，每次最多 1000 条
+    async fetchFundingHistory(symbol, since) {
+        const market = this.markets[symbol];
+        if (!market) return [];
+
+        const response = await axios.get(`${this.restUrl}/fapi/v1/fundingRate`, {
+            params: { symbol: market.id, startTime: since, limit: 1000 },
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        return (response.data || []).map(record => ({
+            fundingTime: Number(record.fundingTime),
+            fundingRate: parseFloat(record.fundingRate)
+        }));
+    }
+
+    // 深度流订阅：符号 -> btcusdt@depth20@100ms
+    sendDepthSubscription(method, symbols) {
+        const params = symbols
+            .map(symbol => this.markets?.[symbol]?.id)
+            .filter(Boolean)
+            .map(id => `${id.toLowerCase()}@depth20@100ms`);
+        if (params.length === 0 || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        this.ws.send(JSON.stringify({ method, params, id: Date.now() }));
+    }
+
+    watchOrderBook(symbol) {
+        if (!this.markets?.[symbol]) return false;
+        if (!this.depthSymbols.has(symbol)) {
+            this.depthSymbols.add(symbol);
+            this.sendDepthSubscription('SUBSCRIBE', [symbol]);
+        }
+        return true;
+    }
+
+    unwatchOrderBook(symbol) {
+        if (!this.depthSymbols.delete(symbol)) return;
+        this.sendDepthSubscription('UNSUBSCRIBE', [symbol]);
+        delete this.books[symbol];
+    }
+
+    processDepth(data) {
+        const symbol = this.symbolById[data.s];
+        if (!symbol || !this.depthSymbols.has(symbol)) return;
+        this.books[symbol] = {
+            bids: normalizeLevels(data.b, 'bids'),
+            asks: normalizeLevels(data.a, 'asks'),
+            timestamp: data.E || Date.now()
+        };
+    }
+
+    getOrderBook(symbol, limit = this.wsBookDepth) {
+        const book = this.books[symbol];
+        if (!book || !this.isConnected) return null;
+        return { bids: book.bids.slice(0, limit), asks: book.asks.slice(0, limit), timestamp: book.timestamp };
+    }
+
+    // /fapi/v1/depth 只接受固定档位数，向上取最接近的一档
+    async fetchOrderBook(symbol, limit = 20) {
+        const market = this.markets?.[symbol];
+        if (!market) throw new Error(`${this.name}: unknown symbol ${symbol}`);
+
+        const depthLimit = [5, 10, 20, 50, 100, 500, 1000].find(n => n >= limit) || 1000;
+        const response = await axios.get(`${this.restUrl}/fapi/v1/depth`, {
+            params: { symbol: market.id, limit: depthLimit },
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        return {
+            bids: normalizeLevels(response.data?.bids, 'bids', limit),
+            asks: normalizeLevels(response.data?.asks, 'asks', limit),
+            timestamp: response.data?.E || Date.now()
+        };
     }
 
     // 清理资源
     disconnect() {
         this.clearPingInterval();
         this.clearHealthMonitoring();
+        this.clearReconnectTimer();
 
         if (this.ws) {
+            // 移除监听器，避免 close/error 回调再次触发重连
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
             this.ws.close(1000, 'Normal closure'); // 正常关闭
             this.ws = null;
         }
+        this.books = {};
 
         this.isConnected = false;
-        logger.exchangeInfo('binance', null,
+        logger.exchangeInfo(this.id, null,
             `WebSocket disconnected (total uptime reconnects: ${this.totalReconnects})`);
     }
 
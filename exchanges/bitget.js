@@ -0,0 +1,358 @@
+const axios = require('axios');
+const WebSocket = require('ws');
+const { getProxyAgent } = require('../utils/proxy');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const BaseExchange = require('./base');
+const { normalizeLevels } = require('../utils/orderbook');
+
+class BitgetExchange extends BaseExchange {
+    constructor() {
+        super('bitget', 'Bitget');
+        this.proxyAgent = getProxyAgent();
+        this.baseUrl = 'https://api.bitget.com';
+        this.wsUrl = 'wss://ws.bitget.com/v2/ws/public';
+        this.productType = 'USDT-FUTURES';
+        this.requestTimeout = config.exchanges.bitget?.timeout || 10000;
+
+        this.markets = {};       // 'BTCUSDT' -> { id, symbol, base, quote, fundingInterval }
+
+        // WebSocket 状态
+        this.ws = null;
+        this.isConnected = false;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 5;
+        this.reconnectDelay = 5000;
+        this.pingInterval = null;
+        this.reconnectTimer = null;
+        this.lastMessageTime = null;
+    }
+
+    async initialize() {
+        try {
+            await this.loadMarkets();
+            await this.connectWebSocket(Object.keys(this.markets));
+            logger.exchangeInit('bitget', true);
+        } catch (error) {
+            logger.exchangeInit('bitget', false, error);
+            throw error;
+        }
+    }
+
+    // GET /api/v2/mix/market/contracts：仅保留正常交易的 USDT 永续
+    async loadMarkets() {
+        const response = await axios.get(`${this.baseUrl}/api/v2/mix/market/contracts`, {
+            params: { productType: this.productType },
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+
+        const list = response.data?.data;
+        if (response.data?.code !== '00000' || !Array.isArray(list)) {
+            throw new Error(`Invalid contracts response from Bitget (code=${response.data?.code}, msg=${response.data?.msg})`);
+        }
+
+        this.markets = {};
+        for (const c of list) {
+            if (!c?.symbol || c.quoteCoin !== 'USDT') continue;
+            if (c.symbolStatus && c.symbolStatus !== 'normal') continue;
+            if (c.symbolType && c.symbolType !== 'perpetual') continue;
+
+            this.markets[c.symbol] = {
+                id: c.symbol,
+                symbol: `${c.baseCoin}/USDT:USDT`,
+                base: c.baseCoin,
+                quote: 'USDT',
+                fundingInterval: c.fundInterval ? Number(c.fundInterval) : null
+            };
+        }
+
+        logger.exchangeInfo('bitget', 'INIT', `Loaded ${Object.keys(this.markets).length} USDT perpetual contracts`);
+    }
+
+    async connectWebSocket(instIds) {
+        try {
+            if (this.ws) {
+                this.ws.removeAllListeners();
+                this.ws.on('error', () => {});
+                this.ws.close();
+            }
+
+            this.ws = new WebSocket(this.wsUrl, {
+                agent: this.proxyAgent,
+                handshakeTimeout: 30000,
+                perMessageDeflate: false,
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (compatible; BitgetWSClient/1.0)'
+                }
+            });
+
+            const connectionTimeout = setTimeout(() => {
+                if (this.ws && this.ws.readyState === WebSocket.CONNECTING) {
+                    logger.websocket('bitget', 'error', 'connection_timeout');
+                    this.ws.terminate();
+                }
+            }, 15000);
+
+            this.ws.on('open', () => {
+                clearTimeout(connectionTimeout);
+                this.isConnected = true;
+                this.reconnectAttempts = 0;
+                this.lastMessageTime = Date.now();
+                logger.websocket('bitget', 'connected', 'WebSocket connected successfully');
+
+                this.subscribeTickersInBatches(instIds);
+                this.setupPingPong();
+            });
+
+            this.ws.on('message', (raw) => {
+                this.lastMessageTime = Date.now();
+                const text = raw.toString();
+                // 心跳回复为纯文本 pong
+                if (text === 'pong') return;
+
+                try {
+                    const msg = JSON.parse(text);
+
+                    if (msg.event === 'error') {
+                        logger.websocket('bitget', 'error', `WS error: code=${msg.code}, msg=${msg.msg}`);
+                        return;
+                    }
+                    if (msg.event === 'subscribe') {
+                        return;
+                    }
+                    if (msg.arg && msg.arg.channel === 'ticker' && Array.isArray(msg.data)) {
+                        this.processTickerData(msg.data);
+                    }
+                } catch (e) {
+                    logger.websocket('bitget', 'error', `Message parse error: ${e.message}`);
+                }
+            });
+
+            this.ws.on('close', (code, reason) => {
+                this.isConnected = false;
+                this.clearPingPong();
+                logger.websocket('bitget', 'disconnected', `Closed: ${code} ${reason || ''}`);
+                this.handleReconnect(() => this.connectWebSocket(instIds));
+            });
+
+            this.ws.on('error', (err) => {
+                this.isConnected = false;
+                logger.websocket('bitget', 'error', `WS error: ${err.code || ''} ${err.message}`);
+                // error 之后 ws 会触发 close，由 close 统一重连
+            });
+        } catch (err) {
+            logger.websocket('bitget', 'error', `Connect error: ${err.message}`);
+            this.handleReconnect(() => this.connectWebSocket(instIds));
+        }
+    }
+
+    subscribeTickersInBatches(instIds) {
+        const batchSize = 100;
+        let batches = 0;
+        for (let i = 0; i < instIds.length; i += batchSize) {
+            const args = instIds.slice(i, i + batchSize).map(instId => ({
+                instType: this.productType,
+                channel: 'ticker',
+                instId
+            }));
+            this.ws.send(JSON.stringify({ op: 'subscribe', args }));
+            batches++;
+        }
+        logger.websocket('bitget', 'connected', `Subscribed to ${instIds.length} tickers in ${batches} batches`);
+    }
+
+    processTickerData(items) {
+        let processed = 0;
+        for (const item of items) {
+            const market = this.markets[item?.instId];
+            if (!market) continue;
+
+            const ts = item.ts ? parseInt(item.ts) : Date.now();
+            const last = item.lastPr ? parseFloat(item.lastPr) : null;
+            this.tickersMap[market.symbol] = {
+                symbol: market.symbol,
+                timestamp: ts,
+                datetime: new Date(ts).toISOString(),
+                high: item.high24h ? parseFloat(item.high24h) : null,
+                low: item.low24h ? parseFloat(item.low24h) : null,
+                bid: item.bidPr ? parseFloat(item.bidPr) : null,
+                bidVolume: item.bidSz ? parseFloat(item.bidSz) : null,
+                ask: item.askPr ? parseFloat(item.askPr) : null,
+                askVolume: item.askSz ? parseFloat(item.askSz) : null,
+                vwap: null,
+                open: item.open24h ? parseFloat(item.open24h) : null,
+                close: last,
+                last,
+                previousClose: null,
+                change: null,
+                percentage: item.change24h ? parseFloat(item.change24h) * 100 : null,
+                average: null,
+                baseVolume: item.baseVolume ? parseFloat(item.baseVolume) : null,
+                quoteVolume: item.quoteVolume ? parseFloat(item.quoteVolume) : null,
+                info: item
+            };
+            processed++;
+        }
+        if (config.logging.enableTickerLogs) {
+            logger.tickerInfo('bitget', `Processed ${processed} tickers via WebSocket`);
+        }
+    }
+
+    async fetchTickers() {
+        this.assertStreamFresh();
+        return this.tickersMap;
+    }
+
+    // GET /api/v2/mix/market/current-fund-rate：一次返回全部合约的当前费率、结算周期与下次结算时间
+    async fetchFundingInfo() {
+        try {
+            logger.fundingInfo('bitget', 'Starting funding rate fetch');
+
+            const response = await axios.get(`${this.baseUrl}/api/v2/mix/market/current-fund-rate`, {
+                params: { productType: this.productType },
+                httpsAgent: this.proxyAgent,
+                timeout: this.requestTimeout
+            });
+
+            const list = response.data?.data;
+            if (response.data?.code !== '00000' || !Array.isArray(list)) {
+                throw new Error(`Invalid funding response from Bitget (code=${response.data?.code}, msg=${response.data?.msg})`);
+            }
+
+            let successCount = 0;
+            let errorCount = 0;
+            for (const item of list) {
+                const market = this.markets[item?.symbol];
+                if (!market) continue;
+
+                const fundingRate = parseFloat(item.fundingRate);
+                if (!Number.isFinite(fundingRate)) {
+                    errorCount++;
+                    continue;
+                }
+
+                // 结算周期优先取费率接口，其次合约元数据；下次结算时间缺失时回退到 WS ticker 推送的值
+                const fundingInterval = Number(item.fundingRateInterval) || market.fundingInterval || 8;
+                const wsNextFunding = this.tickersMap[market.symbol]?.info?.nextFundingTime;
+                const nextFundingTime = Number(item.nextUpdate) || Number(wsNextFunding) || null;
+
+                this.updateFunding(market.symbol, {
+                    fundingRate,
+                    fundingTime: nextFundingTime,
+                    fundingInterval
+                });
+                successCount++;
+
+                if (config.logging.enableDetailedFunding) {
+                    logger.fundingSuccess('bitget', `${item.symbol} -> ${market.symbol}`, {
+                        fundingRate,
+                        nextFundingTime,
+                        fundingInterval
+                    });
+                }
+            }
+
+            logger.fundingSummary('bitget', 'Funding rate fetch completed', {
+                successCount,
+                errorCount,
+                totalSymbols: Object.keys(this.fundingMap).length,
+                totalReceived: list.length
+            });
+            return this.fundingMap;
+        } catch (error) {
+            logger.fundingError('bitget', 'Error fetching funding rates', error);
+            throw error;
+        }
+    }
+
+    // merge-depth 的 limit 仅支持 1 / 5 / 15 / 50 / max
+    async fetchOrderBook(symbol, limit = 15) {
+        const market = Object.values(this.markets).find(m => m.symbol === symbol);
+        if (!market) throw new Error(`Bitget: unknown symbol ${symbol}`);
+        const depthLimit = [1, 5, 15, 50].find(n => n >= limit) || 'max';
+        const response = await axios.get(`${this.baseUrl}/api/v2/mix/market/merge-depth`, {
+            params: { symbol: market.id, productType: this.productType, limit: depthLimit },
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        const data = response.data?.data || {};
+        return {
+            bids: normalizeLevels(data.bids, 'bids', limit),
+            asks: normalizeLevels(data.asks, 'asks', limit),
+            timestamp: Number(data.ts) || Date.now()
+        };
+    }
+
+    // history-fund-rate 不支持起始时间，按时间倒序分页，翻到早于 since 为止
+    async fetchFundingHistory(symbol, since) {
+        const market = Object.values(this.markets).find(m => m.symbol === symbol);
+        if (!market) return [];
+
+        const records = [];
+        for (let pageNo = 1; pageNo <= 10; pageNo++) {
+            const response = await axios.get(`${this.baseUrl}/api/v2/mix/market/history-fund-rate`, {
+                params: { symbol: market.id, productType: this.productType, pageSize: 100, pageNo },
+                httpsAgent: this.proxyAgent,
+                timeout: this.requestTimeout
+            });
+            const page = Array.isArray(response.data?.data) ? response.data.data : [];
+            for (const item of page) {
+                records.push({ fundingTime: Number(item.fundingTime), fundingRate: parseFloat(item.fundingRate) });
+            }
+            if (page.length < 100 || Number(page[page.length - 1].fundingTime) < since) break;
+        }
+        return records
+            .filter(item => item.fundingTime >= since)
+            .sort((a, b) => a.fundingTime - b.fundingTime);
+    }
+
+    setupPingPong() {
+        this.clearPingPong();
+        // Bitget 要求每 30s 发送字符串 ping，超过 2 分钟无心跳会被断开
+        this.pingInterval = setInterval(() => {
+            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                try {
+                    this.ws.send('ping');
+                } catch (_) {}
+            }
+        }, 30000);
+    }
+
+    clearPingPong() {
+        if (this.pingInterval) {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+        }
+    }
+
+    handleReconnect(reconnectFn) {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            logger.websocket('bitget', 'error', 'Max reconnect attempts reached');
+            return;
+        }
+        this.reconnectAttempts++;
+        this.totalReconnects = (this.totalReconnects || 0) + 1;
+        const delay = this.reconnectDelay * this.reconnectAttempts;
+        logger.websocket('bitget', 'reconnecting', `Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => reconnectFn(), delay);
+    }
+
+    disconnect() {
+        this.clearPingPong();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.ws) {
+            // 移除监听器，避免 close/error 回调触发重连
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
+            this.ws.close(1000, 'Normal closure');
+            this.ws = null;
+        }
+        this.isConnected = false;
+    }
+}
+
+module.exports = BitgetExchange;
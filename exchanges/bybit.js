@@ -4,12 +4,13 @@ const { getProxyAgent } = require('../utils/proxy');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 const WebSocket = require('ws');
+const BaseExchange = require('./base');
+const { bookFromMaps, applyLevels } = require('../utils/orderbook');
 
-class BybitExchange {
+class BybitExchange extends BaseExchange {
     constructor() {
-        this.name = 'Bybit';
+        super('bybit', 'Bybit');
         this.exchange = null;
-        this.fundingMap = {};
         this.proxyAgent = getProxyAgent();
         this.ws = null;
         this.isConnected = false;
@@ -18,11 +19,20 @@ class BybitExchange {
         this.maxReconnectAttempts = 10;
         this.reconnectDelay = 2000; // 基础重连延迟
         this.pingTimer = null;
-        this.tickersMap = {};
+        this.reconnectTimer = null;
         this.closingForReconnect = false; // 主动关闭旧连接时，阻止 close/error 回调触发重连
         // Bybit 本地错误去重（仅对 ticker 处理汇总）
         this.tickerErrorCache = new Map();
         this.tickerErrorWindowMs = 1000;
+        // 资金费率：tickers 推送中自带 fundingRate / nextFundingTime，REST 仅做周期对账
+        this.lastFundingMessageTime = null;
+        this.lastFundingReconcile = null;
+        // 各合约结算周期（小时），来自 instruments-info 的 fundingInterval（分钟）
+        this.fundingIntervals = {};
+        // 按需订阅的 orderbook.50 频道（snapshot 后为 delta 增量）
+        this.depthSymbols = new Set();
+        this.books = {};          // 统一符号 -> { bids: Map<price, size>, asks: Map<price, size>, timestamp }
+        this.wsBookDepth = 50;
     }
     
     async initialize() {
@@ -37,9 +47,13 @@ class BybitExchange {
             await this.exchange.loadMarkets();
     
             // 仅订阅 USDT 永续（使用市场 id，如 BTCUSDT）
-            const instIds = Object.values(this.exchange.markets)
-                .filter(m => m.swap && m.quote === 'USDT')
-                .map(m => m.id);
+            const swapMarkets = Object.values(this.exchange.markets)
+                .filter(m => m.swap && m.quote === 'USDT');
+            const instIds = swapMarkets.map(m => m.id);
+            // ccxt 市场元数据中的 info 即 instruments-info 原始数据，先用它初始化结算周期
+            for (const m of swapMarkets) {
+                this.setFundingInterval(m.id, m.info?.fundingInterval);
+            }
     
             await this.connectWebSocket(instIds);
     
@@ -64,6 +78,13 @@ class BybitExchange {
     
     async fetchFundingInfo() {
         try {
+            if (!this.needsFundingReconcile()) {
+                if (config.logging.enableDetailedFunding) {
+                    logger.fundingInfo('bybit', 'Funding rates streaming via WebSocket, skipping REST reconcile');
+                }
+                return;
+            }
+
             logger.fundingInfo('bybit', 'Starting funding rate fetch');
             
             // 获取交易对信息（用于过滤出 USDT 永续）——新增：分页拉取，避免 limit=1000 漏项
@@ -86,6 +107,7 @@ class BybitExchange {
                     const isPerp = contractType.includes('perpetual') || contractType.includes('perp');
                     if (quote === 'USDT' && isPerp) {
                         allowedSymbols.add(inst.symbol);
+                        this.setFundingInterval(inst.symbol, inst.fundingInterval);
                     }
                 }
                 pageCount++;
@@ -106,7 +128,7 @@ class BybitExchange {
             });
     
             if (response.data && response.data.result && response.data.result.list) {
-                this.fundingMap = {};
+                // 原地更新，保留上一期数据以推断上次结算费率
                 let successCount = 0;
                 let errorCount = 0;
                 let skippedCount = 0;
@@ -135,11 +157,11 @@ class BybitExchange {
                                 symbol = item.symbol.replace('USDT', '/USDT:USDT');
                             }
     
-                            this.fundingMap[symbol] = {
+                            this.updateFunding(symbol, {
                                 fundingRate: parseFloat(item.fundingRate),
                                 fundingTime: parseInt(item.nextFundingTime),
-                                fundingInterval: 8
-                            };
+                                fundingInterval: this.fundingIntervals[item.symbol] || 8
+                            });
                             successCount++;
     
                             if (config.logging.enableDetailedFunding) {
@@ -173,6 +195,7 @@ class BybitExchange {
                     const extraSkip = skippedSamples.length > 0 ? `, skippedSamples: ${skippedSamples.join(', ')}` : '';
                     logger.fundingSuccess('bybit', `Funding rate details: ${successCount} success, ${errorCount} errors, ${skippedCount} skipped${extraOk}${extraSkip}`);
                 }
+                this.lastFundingReconcile = Date.now();
                 logger.fundingSummary('bybit', 'Funding rate fetch completed', {
                     successCount,
                     errorCount,
@@ -192,10 +215,6 @@ class BybitExchange {
         }
     }
     
-    getFundingMap() {
-        return this.fundingMap;
-    }
-
     async connectWebSocket(instIds) {
         try {
             if (this.ws) {
@@ -235,6 +254,8 @@ class BybitExchange {
                 logger.websocket('bybit', 'connected', 'WebSocket connected successfully');
     
                 await this.subscribeTickersInBatches(instIds);
+                // 重连后恢复深度订阅
+                this.sendDepthSubscription('subscribe', [...this.depthSymbols]);
                 this.setupPingPong(); // 心跳
             });
     
@@ -254,6 +275,11 @@ class BybitExchange {
                         }
                         return;
                     }
+                    // 深度数据：topic: orderbook.50.SYMBOL
+                    if (msg.topic && typeof msg.topic === 'string' && msg.topic.startsWith('orderbook.') && msg.data) {
+                        this.processBookData(msg.type, msg.data, msg.ts);
+                        return;
+                    }
                 } catch (e) {
                     logger.websocket('bybit', 'error', `Message parse error: ${e.message}`);
                 }
@@ -262,6 +288,7 @@ class BybitExchange {
             this.ws.on('close', (code, reason) => {
                 this.isConnected = false;
                 this.clearPingPong();
+                this.books = {}; // 断线期间深度不再更新
                 logger.websocket('bybit', 'disconnected', `Closed: ${code} ${reason || ''}`);
                 // 如果是我们主动切换连接导致的关闭，则不重连
                 if (this.closingForReconnect) {
@@ -342,6 +369,7 @@ class BybitExchange {
                     info: item
                 };
                 processed++;
+                this.applyStreamFunding(symbol, item);
                 // 新增：收集最多3个样例 symbol=last
                 if (samples.length < 3 && item.lastPrice) {
                     samples.push(`${symbol}=${parseFloat(item.lastPrice)}`);
@@ -386,6 +414,31 @@ class BybitExchange {
         }
     }
 
+    // delta 推送只携带变化的字段，资金费率与下次结算时间分别合并
+    applyStreamFunding(symbol, item) {
+        const hasFundingRate = item.fundingRate !== undefined && item.fundingRate !== '';
+        const hasNextFundingTime = item.nextFundingTime !== undefined && item.nextFundingTime !== '';
+        if (!hasFundingRate && !hasNextFundingTime) return;
+
+        const existing = this.fundingMap[symbol];
+        if (!existing && !(hasFundingRate && hasNextFundingTime)) return;
+
+        this.updateFunding(symbol, {
+            fundingRate: hasFundingRate ? parseFloat(item.fundingRate) : existing.fundingRate,
+            fundingTime: hasNextFundingTime ? parseInt(item.nextFundingTime) : existing.fundingTime,
+            fundingInterval: this.fundingIntervals[item.symbol] || existing?.fundingInterval || 8
+        });
+        this.lastFundingMessageTime = Date.now();
+    }
+
+    // instruments-info 的 fundingInterval 单位为分钟（如 480 / 240 / 60）
+    setFundingInterval(marketId, fundingIntervalMinutes) {
+        const minutes = Number(fundingIntervalMinutes);
+        if (marketId && minutes > 0) {
+            this.fundingIntervals[marketId] = minutes / 60;
+        }
+    }
+
     setupPingPong() {
         this.clearPingPong();
         // Bybit 建议每 20s 发送 {"op":"ping"} 维持连接
@@ -413,7 +466,93 @@ class BybitExchange {
         this.reconnectAttempts++;
         const delay = this.reconnectDelay * this.reconnectAttempts;
         logger.websocket('bybit', 'reconnecting', `Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
-        setTimeout(() => reconnectFn(), delay);
+        this.reconnectTimer = setTimeout(() => reconnectFn(), delay);
+    }
+
+    // ccxt 统一接口 fetchFundingRateHistory，返回按时间升序的 { timestamp, fundingRate }
+    async fetchFundingHistory(symbol, since) {
+        if (!this.exchange) return [];
+        const history = await this.exchange.fetchFundingRateHistory(symbol, since, 100);
+        return history.map(item => ({
+            fundingTime: item.timestamp,
+            fundingRate: Number(item.fundingRate)
+        }));
+    }
+
+    sendDepthSubscription(op, symbols) {
+        const args = symbols
+            .map(symbol => this.exchange?.markets?.[symbol]?.id)
+            .filter(Boolean)
+            .map(id => `orderbook.50.${id}`);
+        if (args.length === 0 || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        this.ws.send(JSON.stringify({ op, args }));
+    }
+
+    // u 为 1 时服务端重发快照，同样需要重建盘口
+    processBookData(type, data, ts) {
+        let symbol;
+        try {
+            symbol = this.exchange.safeSymbol(data.s, undefined, undefined, 'swap');
+        } catch {
+            return;
+        }
+        if (!this.depthSymbols.has(symbol)) return;
+
+        if (type === 'snapshot' || data.u === 1 || !this.books[symbol]) {
+            this.books[symbol] = { bids: new Map(), asks: new Map(), timestamp: null };
+        }
+        const book = this.books[symbol];
+        applyLevels(book.bids, data.b);
+        applyLevels(book.asks, data.a);
+        book.timestamp = ts || Date.now();
+    }
+
+    watchOrderBook(symbol) {
+        if (!this.exchange?.markets?.[symbol]) return false;
+        if (!this.depthSymbols.has(symbol)) {
+            this.depthSymbols.add(symbol);
+            this.sendDepthSubscription('subscribe', [symbol]);
+        }
+        return true;
+    }
+
+    unwatchOrderBook(symbol) {
+        if (!this.depthSymbols.delete(symbol)) return;
+        this.sendDepthSubscription('unsubscribe', [symbol]);
+        delete this.books[symbol];
+    }
+
+    getOrderBook(symbol, limit = this.wsBookDepth) {
+        if (!this.isConnected) return null;
+        return bookFromMaps(this.books[symbol], limit);
+    }
+
+    async fetchOrderBook(symbol, limit = 20) {
+        const book = await this.exchange.fetchOrderBook(symbol, Math.min(limit, 500));
+        const contractSize = this.exchange.markets[symbol]?.contractSize || 1;
+        const toLevels = (levels) => levels.slice(0, limit).map(([price, amount]) => [price, amount * contractSize]);
+        return {
+            bids: toLevels(book.bids),
+            asks: toLevels(book.asks),
+            timestamp: book.timestamp || Date.now()
+        };
+    }
+
+    disconnect() {
+        this.clearPingPong();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.ws) {
+            // 移除旧连接的监听器，避免其 close 回调在重新启用后触发重连或误关新连接
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
+            try { this.ws.close(1000, 'Normal closure'); } catch (_) {}
+            this.ws = null;
+        }
+        this.isConnected = false;
+        this.books = {};
     }
 }
 
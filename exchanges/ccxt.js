@@ -0,0 +1,219 @@
+const ccxt = require('ccxt');
+const { getProxyAgent } = require('../utils/proxy');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const BaseExchange = require('./base');
+
+// 通用 ccxt 适配器：通过 config.exchanges.<id>.ccxtId 包装任意 ccxt 交易所
+// 依赖 ccxt 的 loadMarkets / fetchTickers / fetchFundingRates（或 fetchFundingRate 逐个拉取）
+class CcxtExchange extends BaseExchange {
+    /**
+     * @param {string} id      config.exchanges 中的键，例如 'mexc'
+     * @param {object} options config.exchanges.<id>：{ ccxtId, name?, label?, quote?, tickerInterval?, timeout? }
+     */
+    constructor(id, options = {}) {
+        super(id, options.name || options.ccxtId || id, options.label);
+        if (!options.ccxtId || !ccxt[options.ccxtId]) {
+            throw new Error(`Unsupported ccxt exchange id for ${id}: ${options.ccxtId}`);
+        }
+        this.ccxtId = options.ccxtId;
+        this.quote = options.quote || 'USDT';
+        this.tickerInterval = options.tickerInterval || config.arbitrage.updateInterval;
+        this.requestTimeout = options.timeout || 10000;
+        this.proxyAgent = getProxyAgent();
+        this.exchange = null;
+        this.symbols = [];          // 统一符号，例如 BTC/USDT:USDT
+        this.lastTickerFetch = 0;
+        this.lastErrorType = null;
+    }
+
+    async initialize() {
+        try {
+            this.exchange = new ccxt[this.ccxtId]({
+                'agent': this.proxyAgent,
+                'enableRateLimit': true,
+                'timeout': this.requestTimeout,
+                'options': {
+                    'defaultType': 'swap',
+                },
+            });
+
+            await this.exchange.loadMarkets();
+
+            // 仅保留线性 USDT 永续
+            this.symbols = Object.values(this.exchange.markets)
+                .filter(m => m.swap && m.linear && m.quote === this.quote && m.settle === this.quote && m.active !== false)
+                .map(m => m.symbol);
+
+            if (this.symbols.length === 0) {
+                throw new Error(`No ${this.quote} linear perpetual markets found on ${this.ccxtId}`);
+            }
+
+            logger.exchangeInfo(this.id, 'INIT', `Loaded ${this.symbols.length} ${this.quote} perpetual markets via ccxt.${this.ccxtId}`);
+            logger.exchangeInit(this.id, true);
+        } catch (error) {
+            logger.exchangeInit(this.id, false, error);
+            throw error;
+        }
+    }
+
+    // REST 轮询，按 tickerInterval 节流，避免每轮聚合都全量请求
+    async fetchTickers() {
+        if (Date.now() - this.lastTickerFetch < this.tickerInterval) {
+            return this.tickersMap;
+        }
+
+        try {
+            const tickers = await this.exchange.fetchTickers();
+            const wanted = new Set(this.symbols);
+            const tickersMap = {};
+            for (const [symbol, ticker] of Object.entries(tickers)) {
+                if (!wanted.has(symbol)) continue;
+                // 部分交易所不返回 quoteVolume，且合约的 baseVolume 可能为张数，按 contractSize 折算成交额
+                const contractSize = this.exchange.markets[symbol]?.contractSize || 1;
+                const quoteVolume = ticker.quoteVolume ?? (ticker.baseVolume != null && ticker.last ? ticker.baseVolume * contractSize * ticker.last : null);
+                tickersMap[symbol] = { ...ticker, quoteVolume };
+            }
+            this.tickersMap = tickersMap;
+            this.lastTickerFetch = Date.now();
+            this.lastErrorType = null;
+
+            if (config.logging.enableTickerLogs) {
+                logger.tickerInfo(this.id, `Fetched ${Object.keys(tickersMap).length} tickers via ccxt`);
+            }
+            return this.tickersMap;
+        } catch (error) {
+            this.lastErrorType = error.constructor?.name || 'Error';
+            logger.tickerError(this.id, error);
+            throw error;
+        }
+    }
+
+    async fetchFundingInfo() {
+        try {
+            logger.fundingInfo(this.id, `Starting funding rate fetch for ${this.symbols.length} symbols`);
+
+            const rates = await this.requestFundingRates();
+            let successCount = 0;
+            let errorCount = 0;
+
+            for (const symbol of this.symbols) {
+                const item = rates[symbol];
+                if (!item) continue;
+
+                const fundingRate = Number(item.fundingRate);
+                if (!Number.isFinite(fundingRate)) {
+                    errorCount++;
+                    continue;
+                }
+
+                const previousFundingRate = Number(item.previousFundingRate);
+                this.updateFunding(symbol, {
+                    fundingRate,
+                    // 与其他交易所一致：fundingTime 为下次结算时间（毫秒）
+                    fundingTime: item.nextFundingTimestamp || item.fundingTimestamp || null,
+                    fundingInterval: this.parseInterval(item.interval) || 8,
+                    ...(item.previousFundingRate != null && Number.isFinite(previousFundingRate)
+                        ? { lastSettledFundingRate: previousFundingRate, lastSettlementTime: item.previousFundingTimestamp || undefined }
+                        : {})
+                });
+                successCount++;
+            }
+
+            logger.fundingSummary(this.id, 'Funding rate fetch completed', {
+                successCount,
+                errorCount,
+                totalSymbols: Object.keys(this.fundingMap).length,
+                totalReceived: Object.keys(rates).length
+            });
+            return this.fundingMap;
+        } catch (error) {
+            logger.fundingError(this.id, 'Error fetching funding rates', error);
+            throw error;
+        }
+    }
+
+    // 优先批量接口；不支持时逐个拉取（分批，避免触发频控）
+    async requestFundingRates() {
+        if (this.exchange.has['fetchFundingRates']) {
+            try {
+                return await this.exchange.fetchFundingRates(this.symbols);
+            } catch (error) {
+                // 部分交易所不接受 symbols 参数，退回全量
+                logger.exchangeWarn(this.id, 'FUNDING', 'fetchFundingRates(symbols) failed, retrying without symbols', {
+                    error: error.message
+                });
+                return await this.exchange.fetchFundingRates();
+            }
+        }
+
+        if (!this.exchange.has['fetchFundingRate']) {
+            throw new Error(`ccxt.${this.ccxtId} supports neither fetchFundingRates nor fetchFundingRate`);
+        }
+
+        const rates = {};
+        const batchSize = 10;
+        for (let i = 0; i < this.symbols.length; i += batchSize) {
+            const batch = this.symbols.slice(i, i + batchSize);
+            await Promise.all(batch.map(async (symbol) => {
+                try {
+                    rates[symbol] = await this.exchange.fetchFundingRate(symbol);
+                } catch (error) {
+                    if (config.logging.enableDetailedFunding) {
+                        logger.fundingError(this.id, `Failed to fetch funding rate for ${symbol}`, error);
+                    }
+                }
+            }));
+        }
+        return rates;
+    }
+
+    // ccxt 订单簿数量为张数，按 contractSize 换算为币数量
+    async fetchOrderBook(symbol, limit = 20) {
+        const book = await this.exchange.fetchOrderBook(symbol, limit);
+        const contractSize = this.exchange.markets[symbol]?.contractSize || 1;
+        const toLevels = (levels) => levels.slice(0, limit).map(([price, amount]) => [price, amount * contractSize]);
+        return {
+            bids: toLevels(book.bids),
+            asks: toLevels(book.asks),
+            timestamp: book.timestamp || Date.now()
+        };
+    }
+
+    // 仅在 ccxt 实现了 fetchFundingRateHistory 时支持历史回填
+    async fetchFundingHistory(symbol, since) {
+        if (!this.exchange || !this.exchange.has['fetchFundingRateHistory']) return null;
+        const history = await this.exchange.fetchFundingRateHistory(symbol, since);
+        return history.map(item => ({
+            fundingTime: item.timestamp,
+            fundingRate: Number(item.fundingRate)
+        }));
+    }
+
+    // ccxt 的 interval 形如 '8h' / '1h' / '30m'，统一换算为小时
+    parseInterval(interval) {
+        const match = /^(\d+(?:\.\d+)?)([mhd])$/.exec(String(interval || ''));
+        if (!match) return null;
+        const value = Number(match[1]);
+        return match[2] === 'm' ? value / 60 : match[2] === 'd' ? value * 24 : value;
+    }
+
+    getConnectionStatus() {
+        return {
+            connected: null, // REST 轮询，无持久连接
+            reconnectAttempts: 0,
+            totalReconnects: 0,
+            lastMessageTime: this.lastTickerFetch || null,
+            cachedTickers: Object.keys(this.tickersMap).length,
+            lastErrorType: this.lastErrorType,
+            ccxtId: this.ccxtId
+        };
+    }
+
+    clearCache() {
+        super.clearCache();
+        this.lastTickerFetch = 0;
+    }
+}
+
+module.exports = CcxtExchange;
@@ -0,0 +1,488 @@
+const axios = require('axios');
+const WebSocket = require('ws');
+const { getProxyAgent } = require('../utils/proxy');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const BaseExchange = require('./base');
+const { normalizeLevels, bookFromMaps } = require('../utils/orderbook');
+
+const HOUR_MS = 3600000;
+
+// dYdX v4：通过 Indexer 获取行情。v4_markets 推送预言机价格与成交/持仓/资金费率，
+// 各市场 v4_orderbook 用于维护最优买卖价（中间价）
+class DydxExchange extends BaseExchange {
+    constructor() {
+        super('dydx', 'dYdX');
+        this.proxyAgent = getProxyAgent();
+        this.baseUrl = config.exchanges.dydx?.baseUrl || 'https://indexer.dydx.trade/v4';
+        this.wsUrl = config.exchanges.dydx?.wsUrl || 'wss://indexer.dydx.trade/v4/ws';
+        this.requestTimeout = config.exchanges.dydx?.timeout || 15000;
+        // 订阅订单簿的间隔（毫秒），避免瞬间发送大量 subscribe 被限流
+        this.subscribeDelay = config.exchanges.dydx?.subscribeDelay || 100;
+
+        this.markets = {};       // 'BTC-USD' -> { id, symbol, base }
+        this.marketState = {};   // 'BTC-USD' -> Indexer 市场字段（oraclePrice、volume24H、openInterest、nextFundingRate ...）
+        this.books = {};         // 'BTC-USD' -> { bids: Map<price, size>, asks: Map<price, size>, timestamp }
+        this.wsBookDepth = 1000; // v4_orderbook 推送完整盘口
+
+        // WebSocket 状态
+        this.ws = null;
+        this.isConnected = false;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 5;
+        this.reconnectDelay = 5000;
+        this.pingInterval = null;
+        this.reconnectTimer = null;
+        this.subscribeTimer = null;
+        this.lastMessageTime = null;
+    }
+
+    async initialize() {
+        try {
+            await this.loadMarkets();
+            await this.connectWebSocket();
+            logger.exchangeInit('dydx', true);
+        } catch (error) {
+            logger.exchangeInit('dydx', false, error);
+            throw error;
+        }
+    }
+
+    // GET /perpetualMarkets：全部永续市场及其实时统计
+    async requestPerpetualMarkets() {
+        const response = await axios.get(`${this.baseUrl}/perpetualMarkets`, {
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        const markets = response.data?.markets;
+        if (!markets || typeof markets !== 'object') {
+            throw new Error('Invalid perpetualMarkets response from dYdX');
+        }
+        return markets;
+    }
+
+    async loadMarkets() {
+        const markets = await this.requestPerpetualMarkets();
+
+        this.markets = {};
+        for (const [id, m] of Object.entries(markets)) {
+            if (m?.status !== 'ACTIVE') continue;
+            const [base, quote] = id.split('-');
+            if (quote !== 'USD') continue;
+
+            // 标准化符号：BTC-USD -> BTC/USD:USDC（USDC 结算，与 Hyperliquid 一样按币种聚合）
+            this.markets[id] = {
+                id,
+                symbol: `${base}/USD:USDC`,
+                base
+            };
+            this.marketState[id] = { ...m };
+        }
+
+        logger.exchangeInfo('dydx', 'INIT', `Loaded ${Object.keys(this.markets).length} USD perpetual markets`);
+    }
+
+    async connectWebSocket() {
+        try {
+            if (this.ws) {
+                this.ws.removeAllListeners();
+                this.ws.on('error', () => {});
+                this.ws.close();
+            }
+            this.clearSubscribeTimer();
+
+            this.ws = new WebSocket(this.wsUrl, {
+                agent: this.proxyAgent,
+                handshakeTimeout: 30000,
+                perMessageDeflate: false
+            });
+
+            const connectionTimeout = setTimeout(() => {
+                if (this.ws && this.ws.readyState === WebSocket.CONNECTING) {
+                    logger.websocket('dydx', 'error', 'connection_timeout');
+                    this.ws.terminate();
+                }
+            }, 15000);
+
+            this.ws.on('open', () => {
+                clearTimeout(connectionTimeout);
+                this.isConnected = true;
+                this.reconnectAttempts = 0;
+                this.lastMessageTime = Date.now();
+                logger.websocket('dydx', 'connected', 'WebSocket connected successfully');
+
+                this.ws.send(JSON.stringify({ type: 'subscribe', channel: 'v4_markets', batched: true }));
+                this.subscribeOrderbooks(Object.keys(this.markets));
+                this.setupPingPong();
+            });
+
+            this.ws.on('message', (raw) => {
+                try {
+                    this.lastMessageTime = Date.now();
+                    const msg = JSON.parse(raw.toString());
+
+                    if (msg.type === 'error') {
+                        logger.websocket('dydx', 'error', `WS error: ${msg.message}`);
+                        return;
+                    }
+                    if (msg.channel === 'v4_markets') {
+                        this.handleMarketsMessage(msg);
+                    } else if (msg.channel === 'v4_orderbook') {
+                        this.handleOrderbookMessage(msg);
+                    }
+                } catch (e) {
+                    logger.websocket('dydx', 'error', `Message parse error: ${e.message}`);
+                }
+            });
+
+            this.ws.on('close', (code, reason) => {
+                this.isConnected = false;
+                this.clearPingPong();
+                this.clearSubscribeTimer();
+                // 重连后会重新收到订单簿快照，旧的增量状态不再可信
+                this.books = {};
+                logger.websocket('dydx', 'disconnected', `Closed: ${code} ${reason || ''}`);
+                this.handleReconnect(() => this.connectWebSocket());
+            });
+
+            this.ws.on('error', (err) => {
+                this.isConnected = false;
+                logger.websocket('dydx', 'error', `WS error: ${err.code || ''} ${err.message}`);
+                // error 之后 ws 会触发 close，由 close 统一重连
+            });
+        } catch (err) {
+            logger.websocket('dydx', 'error', `Connect error: ${err.message}`);
+            this.handleReconnect(() => this.connectWebSocket());
+        }
+    }
+
+    // v4_orderbook 需按市场逐个订阅，按 subscribeDelay 间隔依次发送
+    subscribeOrderbooks(ids) {
+        let index = 0;
+        const next = () => {
+            this.subscribeTimer = null;
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+            if (index >= ids.length) {
+                logger.websocket('dydx', 'connected', `Subscribed to ${ids.length} orderbooks`);
+                return;
+            }
+            this.ws.send(JSON.stringify({ type: 'subscribe', channel: 'v4_orderbook', id: ids[index++], batched: true }));
+            this.subscribeTimer = setTimeout(next, this.subscribeDelay);
+        };
+        next();
+    }
+
+    clearSubscribeTimer() {
+        if (this.subscribeTimer) {
+            clearTimeout(this.subscribeTimer);
+            this.subscribeTimer = null;
+        }
+    }
+
+    // subscribed 的 contents 为 { markets }；更新为 { trading } / { oraclePrices }，batched 时为数组
+    handleMarketsMessage(msg) {
+        if (msg.type === 'subscribed') {
+            this.mergeMarkets(msg.contents?.markets);
+            return;
+        }
+        const contents = Array.isArray(msg.contents) ? msg.contents : [msg.contents];
+        for (const item of contents) {
+            if (!item) continue;
+            if (item.trading) this.mergeMarkets(item.trading);
+            if (item.oraclePrices) {
+                for (const [id, p] of Object.entries(item.oraclePrices)) {
+                    if (this.marketState[id] && p?.oraclePrice) {
+                        this.marketState[id].oraclePrice = p.oraclePrice;
+                    }
+                }
+            }
+        }
+    }
+
+    mergeMarkets(updates) {
+        if (!updates) return;
+        for (const [id, fields] of Object.entries(updates)) {
+            const market = this.markets[id];
+            if (!market || !fields) continue;
+            Object.assign(this.marketState[id], fields);
+
+            // 预测费率随推送实时更新，下次结算时间仍按整点计算
+            const funding = this.fundingMap[market.symbol];
+            if (funding && fields.nextFundingRate !== undefined) {
+                const fundingRate = parseFloat(fields.nextFundingRate);
+                if (Number.isFinite(fundingRate)) this.updateFunding(market.symbol, { fundingRate });
+            }
+        }
+    }
+
+    // 快照档位为 { price, size }，增量档位为 [price, size]，size 为 0 表示删除
+    handleOrderbookMessage(msg) {
+        const id = msg.id;
+        if (!this.markets[id]) return;
+
+        if (msg.type === 'subscribed') {
+            this.books[id] = { bids: new Map(), asks: new Map() };
+            this.applyBookLevels(id, msg.contents);
+            return;
+        }
+        const contents = Array.isArray(msg.contents) ? msg.contents : [msg.contents];
+        for (const update of contents) {
+            this.applyBookLevels(id, update);
+        }
+    }
+
+    applyBookLevels(id, update) {
+        const book = this.books[id];
+        if (!book || !update) return;
+        for (const side of ['bids', 'asks']) {
+            const levels = update[side];
+            if (!Array.isArray(levels)) continue;
+            for (const level of levels) {
+                const price = Array.isArray(level) ? level[0] : level?.price;
+                const size = parseFloat(Array.isArray(level) ? level[1] : level?.size);
+                if (price === undefined) continue;
+                if (size > 0) {
+                    book[side].set(price, size);
+                } else {
+                    book[side].delete(price);
+                }
+            }
+        }
+        book.timestamp = Date.now();
+    }
+
+    // 取最优买卖价；Indexer 订单簿偶尔交叉（过期档位未及时删除），此时视为不可用
+    topOfBook(id) {
+        const book = this.books[id];
+        if (!book) return null;
+
+        let bid = null;
+        let bidSize = null;
+        for (const [price, size] of book.bids) {
+            const p = parseFloat(price);
+            if (bid === null || p > bid) { bid = p; bidSize = size; }
+        }
+        let ask = null;
+        let askSize = null;
+        for (const [price, size] of book.asks) {
+            const p = parseFloat(price);
+            if (ask === null || p < ask) { ask = p; askSize = size; }
+        }
+
+        if (bid === null || ask === null || bid >= ask) return null;
+        return { bid, bidSize, ask, askSize };
+    }
+
+    // ticker 在读取时由市场状态与订单簿合成，避免每条推送都遍历订单簿
+    async fetchTickers() {
+        this.assertStreamFresh();
+
+        const tickersMap = {};
+        const now = Date.now();
+        for (const market of Object.values(this.markets)) {
+            const state = this.marketState[market.id];
+            const oraclePx = state?.oraclePrice ? parseFloat(state.oraclePrice) : null;
+            if (!Number.isFinite(oraclePx)) continue;
+
+            const top = this.topOfBook(market.id);
+            const midPx = top ? (top.bid + top.ask) / 2 : null;
+            const priceChange = state.priceChange24H ? parseFloat(state.priceChange24H) : null;
+            const prevDayPx = priceChange !== null ? oraclePx - priceChange : null;
+            const quoteVolume = state.volume24H ? parseFloat(state.volume24H) : null;
+
+            tickersMap[market.symbol] = {
+                symbol: market.symbol,
+                timestamp: now,
+                datetime: new Date(now).toISOString(),
+                high: null,
+                low: null,
+                bid: top ? top.bid : null,
+                bidVolume: top ? top.bidSize : null,
+                ask: top ? top.ask : null,
+                askVolume: top ? top.askSize : null,
+                vwap: null,
+                open: prevDayPx,
+                close: midPx ?? oraclePx,
+                last: midPx ?? oraclePx,
+                previousClose: prevDayPx,
+                change: priceChange,
+                percentage: (priceChange !== null && prevDayPx > 0) ? (priceChange / prevDayPx) * 100 : null,
+                average: null,
+                // volume24H 为 USD 名义成交额，按预言机价格折算为币数量
+                baseVolume: quoteVolume !== null && oraclePx > 0 ? quoteVolume / oraclePx : null,
+                quoteVolume,
+                info: {
+                    ticker: market.id,
+                    oraclePx,
+                    midPx,
+                    openInterest: state.openInterest ? parseFloat(state.openInterest) : null,
+                    nextFundingRate: state.nextFundingRate ? parseFloat(state.nextFundingRate) : null,
+                    trades24H: state.trades24H ?? null
+                }
+            };
+        }
+        this.tickersMap = tickersMap;
+
+        if (config.logging.enableTickerLogs) {
+            logger.tickerSuccess('dydx', `Built ${Object.keys(tickersMap).length} tickers`);
+        }
+        return this.tickersMap;
+    }
+
+    // dYdX 每小时整点（UTC）结算，nextFundingRate 为当前小时的预测费率
+    async fetchFundingInfo() {
+        try {
+            logger.fundingInfo('dydx', 'Starting funding rate fetch');
+
+            const markets = await this.requestPerpetualMarkets();
+            const nextFundingTime = (Math.floor(Date.now() / HOUR_MS) + 1) * HOUR_MS;
+            let successCount = 0;
+            let errorCount = 0;
+
+            for (const [id, m] of Object.entries(markets)) {
+                const market = this.markets[id];
+                if (!market) continue;
+                // REST 结果同时用于校正 WS 维护的市场状态
+                Object.assign(this.marketState[id], m);
+
+                const fundingRate = parseFloat(m.nextFundingRate);
+                if (!Number.isFinite(fundingRate)) {
+                    errorCount++;
+                    continue;
+                }
+
+                this.updateFunding(market.symbol, {
+                    fundingRate,
+                    fundingTime: nextFundingTime,
+                    fundingInterval: 1, // 每小时
+                    oraclePx: m.oraclePrice ? parseFloat(m.oraclePrice) : null,
+                    openInterest: m.openInterest ? parseFloat(m.openInterest) : null
+                });
+                successCount++;
+
+                if (config.logging.enableDetailedFunding) {
+                    logger.fundingSuccess('dydx', `${id} -> ${market.symbol}`, {
+                        fundingRate,
+                        nextFundingTime,
+                        openInterest: m.openInterest
+                    });
+                }
+            }
+
+            logger.fundingSummary('dydx', 'Funding rate fetch completed', {
+                successCount,
+                errorCount,
+                totalSymbols: Object.keys(this.fundingMap).length,
+                totalReceived: Object.keys(markets).length
+            });
+            return this.fundingMap;
+        } catch (error) {
+            logger.fundingError('dydx', 'Error fetching funding rates', error);
+            throw error;
+        }
+    }
+
+    // historicalFunding 按时间倒序，只能以 effectiveBeforeOrAt 向前翻页
+    async fetchFundingHistory(symbol, since) {
+        const market = Object.values(this.markets).find(m => m.symbol === symbol);
+        if (!market) return [];
+
+        const records = [];
+        let before = null;
+        for (let page = 0; page < 10; page++) {
+            const response = await axios.get(`${this.baseUrl}/historicalFunding/${market.id}`, {
+                params: { limit: 100, ...(before ? { effectiveBeforeOrAt: before } : {}) },
+                httpsAgent: this.proxyAgent,
+                timeout: this.requestTimeout
+            });
+            const list = Array.isArray(response.data?.historicalFunding) ? response.data.historicalFunding : [];
+            for (const item of list) {
+                records.push({ fundingTime: Date.parse(item.effectiveAt), fundingRate: parseFloat(item.rate) });
+            }
+            const oldest = records[records.length - 1];
+            if (list.length < 100 || !oldest || oldest.fundingTime < since) break;
+            before = new Date(oldest.fundingTime - 1).toISOString();
+        }
+        return records
+            .filter(item => item.fundingTime >= since)
+            .sort((a, b) => a.fundingTime - b.fundingTime);
+    }
+
+    getOrderBook(symbol, limit = this.wsBookDepth) {
+        const market = Object.values(this.markets).find(m => m.symbol === symbol);
+        if (!market || !this.isConnected) return null;
+        return bookFromMaps(this.books[market.id], limit);
+    }
+
+    async fetchOrderBook(symbol, limit = 20) {
+        const market = Object.values(this.markets).find(m => m.symbol === symbol);
+        if (!market) throw new Error(`dYdX: unknown symbol ${symbol}`);
+        const response = await axios.get(`${this.baseUrl}/orderbooks/perpetualMarket/${market.id}`, {
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        return {
+            bids: normalizeLevels(response.data?.bids, 'bids', limit),
+            asks: normalizeLevels(response.data?.asks, 'asks', limit),
+            timestamp: Date.now()
+        };
+    }
+
+    getConnectionStatus() {
+        return {
+            ...super.getConnectionStatus(),
+            orderbooks: Object.keys(this.books).length
+        };
+    }
+
+    setupPingPong() {
+        this.clearPingPong();
+        // 服务端会定期发送 ping（ws 库自动回复 pong），这里再主动 ping 以便尽早发现断线
+        this.pingInterval = setInterval(() => {
+            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                try {
+                    this.ws.ping();
+                } catch (_) {}
+            }
+        }, 30000);
+    }
+
+    clearPingPong() {
+        if (this.pingInterval) {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+        }
+    }
+
+    handleReconnect(reconnectFn) {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            logger.websocket('dydx', 'error', 'Max reconnect attempts reached');
+            return;
+        }
+        this.reconnectAttempts++;
+        this.totalReconnects = (this.totalReconnects || 0) + 1;
+        const delay = this.reconnectDelay * this.reconnectAttempts;
+        logger.websocket('dydx', 'reconnecting', `Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => reconnectFn(), delay);
+    }
+
+    disconnect() {
+        this.clearPingPong();
+        this.clearSubscribeTimer();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.ws) {
+            // 移除监听器，避免 close/error 回调触发重连
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
+            this.ws.close(1000, 'Normal closure');
+            this.ws = null;
+        }
+        this.isConnected = false;
+        this.books = {};
+    }
+}
+
+module.exports = DydxExchange;
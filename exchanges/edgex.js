@@ -1,18 +1,19 @@
 const axios = require('axios');
+const WebSocket = require('ws');
 const { getProxyAgent } = require('../utils/proxy');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const BaseExchange = require('./base');
+const { normalizeLevels, bookFromMaps } = require('../utils/orderbook');
 
-class EdgexExchange {
+class EdgexExchange extends BaseExchange {
     constructor() {
-        this.name = 'Edgex';
+        super('edgex', 'Edgex');
         this.proxyAgent = getProxyAgent();
         this.baseUrl = process.env.EDGEX_BASE_URL || 'https://pro.edgex.exchange'; // REST 基础域名
         this.contracts = [];               // 合约列表（仅 USDT 永续）
         this.contractIdToSymbol = {};      // contractId -> 'BTC/USDT'
         this.symbolToContractId = {};      // 'BTC/USDT' -> contractId
-        this.tickersMap = {};              // 缓存 ticker（与其它交易所接口一致）
-        this.fundingMap = {};              // 缓存资金费率
         this.batchSize = Number(process.env.EDGEX_BATCH_SIZE || 10);      // 每批并发数（更保守）
         this.batchPauseMs = Number(process.env.EDGEX_BATCH_PAUSE_MS || 200); // 批次间暂停
         this.maxRetries = Number(process.env.EDGEX_RETRIES || 2);         // 每请求最大重试
@@ -20,11 +21,24 @@ class EdgexExchange {
         this.quoteCoinName = process.env.EDGEX_QUOTE || 'USDT'; // 依据元数据的报价币过滤
         this.treatUsdAsUsdt = (process.env.EDGEX_TREAT_USD_AS_USDT || 'true').toLowerCase() === 'true';
         this.includeByNameSuffix = (process.env.EDGEX_INCLUDE_BY_NAME_SUFFIX || 'true').toLowerCase() === 'true';
+
+        // Public WebSocket：ticker.all 推送全市场行情，depth.<contractId>.15 推送盘口
+        this.wsUrl = config.exchanges.edgex?.wsUrl || 'wss://quote.edgex.exchange/api/v1/public/ws';
+        this.books = {};                   // contractId -> { bids: Map<price, size>, asks: Map<price, size>, timestamp }
+        this.wsBookDepth = 15;             // depth.<id>.15
+        this.ws = null;
+        this.isConnected = false;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 5;
+        this.reconnectDelay = 5000;
+        this.reconnectTimer = null;
+        this.lastMessageTime = null;
     }
 
     async initialize() {
         try {
             await this.loadMarkets();
+            await this.connectWebSocket();
             logger.exchangeInit('edgex', true);
         } catch (e) {
             logger.exchangeInit('edgex', false, e);
@@ -121,6 +135,8 @@ class EdgexExchange {
                 symbol,
                 base,
                 quote: quoteCode,
+                // 合约元数据中的结算周期（分钟），费率接口缺失该字段时使用
+                fundingRateIntervalMin: Number(c.fundingRateIntervalMin) > 0 ? Number(c.fundingRateIntervalMin) : null,
             });
             this.contractIdToSymbol[String(c.contractId)] = symbol;
             this.symbolToContractId[symbol] = String(c.contractId);
@@ -186,91 +202,247 @@ class EdgexExchange {
         }
     }
 
-    // 拉取 tickers（使用 Quote API 的 getTicker）
-    async fetchTickers() {
-        const url = `${this.baseUrl}/api/v1/public/quote/getTicker`;
+    async connectWebSocket() {
+        try {
+            if (this.ws) {
+                this.ws.removeAllListeners();
+                this.ws.on('error', () => {});
+                this.ws.close();
+            }
 
-        let success = 0;
-        let failed = 0;
-        let skipped = 0;
+            this.ws = new WebSocket(this.wsUrl, {
+                agent: this.proxyAgent,
+                handshakeTimeout: 30000,
+                perMessageDeflate: false
+            });
 
-        await this.forEachInBatches(this.contracts, this.batchSize, async (c) => {
-            try {
-                const r = await this.requestWithRetry(() => axios.get(url, {
-                    params: { contractId: c.id },
-                    httpsAgent: this.proxyAgent,
-                    timeout: this.requestTimeout
-                }), 'TICKER');
+            const connectionTimeout = setTimeout(() => {
+                if (this.ws && this.ws.readyState === WebSocket.CONNECTING) {
+                    logger.websocket('edgex', 'error', 'connection_timeout');
+                    this.ws.terminate();
+                }
+            }, 15000);
+
+            this.ws.on('open', () => {
+                clearTimeout(connectionTimeout);
+                this.isConnected = true;
+                this.reconnectAttempts = 0;
+                this.lastMessageTime = Date.now();
+                logger.websocket('edgex', 'connected', 'WebSocket connected successfully');
+
+                this.ws.send(JSON.stringify({ type: 'subscribe', channel: 'ticker.all' }));
+                for (const c of this.contracts) {
+                    this.ws.send(JSON.stringify({ type: 'subscribe', channel: `depth.${c.id}.15` }));
+                }
+                logger.websocket('edgex', 'connected', `Subscribed to ticker.all and ${this.contracts.length} depth channels`);
+            });
 
-                const item = Array.isArray(r.data?.data) ? r.data.data[0] : null;
-                if (!item) {
-                    skipped++;
-                    logger.exchangeWarn('edgex', 'TICKER', `empty ticker for ${c.symbol}(${c.id})`);
-                    return;
+            this.ws.on('message', (raw) => {
+                try {
+                    this.lastMessageTime = Date.now();
+                    const msg = JSON.parse(raw.toString());
+
+                    // 服务端主动 ping，必须回复 pong，否则连接会被断开
+                    if (msg.type === 'ping') {
+                        this.ws.send(JSON.stringify({ type: 'pong', time: msg.time }));
+                        return;
+                    }
+                    if (msg.type === 'error') {
+                        logger.websocket('edgex', 'error', `WS error: ${JSON.stringify(msg.content || msg).substring(0, 200)}`);
+                        return;
+                    }
+                    if (msg.type !== 'payload' || !msg.channel) return;
+
+                    if (msg.channel.startsWith('ticker.')) {
+                        this.processTickerData(msg.content?.data);
+                    } else if (msg.channel.startsWith('depth.')) {
+                        this.processDepthData(msg.content?.data);
+                    }
+                } catch (e) {
+                    logger.websocket('edgex', 'error', `Message parse error: ${e.message}`);
+                }
+            });
+
+            this.ws.on('close', (code, reason) => {
+                this.isConnected = false;
+                // 重连后会重新收到盘口快照，旧的增量状态不再可信
+                this.books = {};
+                logger.websocket('edgex', 'disconnected', `Closed: ${code} ${reason || ''}`);
+                this.handleReconnect(() => this.connectWebSocket());
+            });
+
+            this.ws.on('error', (err) => {
+                this.isConnected = false;
+                logger.websocket('edgex', 'error', `WS error: ${err.code || ''} ${err.message}`);
+                // error 之后 ws 会触发 close，由 close 统一重连
+            });
+        } catch (err) {
+            logger.websocket('edgex', 'error', `Connect error: ${err.message}`);
+            this.handleReconnect(() => this.connectWebSocket());
+        }
+    }
+
+    // 获取或创建 ticker 缓存项：ticker 与 depth 两路推送合并到同一条记录
+    ensureTicker(contractId, symbol) {
+        if (!this.tickersMap[symbol]) {
+            this.tickersMap[symbol] = {
+                symbol,
+                timestamp: Date.now(),
+                datetime: new Date().toISOString(),
+                high: null,
+                low: null,
+                bid: null,
+                bidVolume: null,
+                ask: null,
+                askVolume: null,
+                vwap: null,
+                open: null,
+                close: null,
+                last: null,
+                previousClose: null,
+                change: null,
+                percentage: null,
+                average: null,
+                baseVolume: null,
+                quoteVolume: null,
+                info: { contractId }
+            };
+        }
+        return this.tickersMap[symbol];
+    }
+
+    processTickerData(items) {
+        if (!Array.isArray(items)) return;
+        let processed = 0;
+        for (const item of items) {
+            const contractId = String(item?.contractId || '');
+            const symbol = this.contractIdToSymbol[contractId];
+            if (!symbol) continue;
+
+            const ticker = this.ensureTicker(contractId, symbol);
+            const ts = Number(item.endTime || Date.now());
+            const num = (v) => {
+                const n = parseFloat(v);
+                return isFinite(n) ? n : null;
+            };
+
+            Object.assign(ticker, {
+                timestamp: ts,
+                datetime: new Date(ts).toISOString(),
+                high: num(item.high) ?? ticker.high,
+                low: num(item.low) ?? ticker.low,
+                open: num(item.open) ?? ticker.open,
+                close: num(item.close) ?? ticker.close,
+                last: num(item.lastPrice) ?? ticker.last,
+                baseVolume: num(item.size) ?? ticker.baseVolume,
+                quoteVolume: num(item.value) ?? ticker.quoteVolume,
+                info: {
+                    ...ticker.info,
+                    indexPrice: item.indexPrice ? String(item.indexPrice) : ticker.info.indexPrice || null,
+                    oraclePrice: item.oraclePrice ? String(item.oraclePrice) : ticker.info.oraclePrice || null,
+                    openInterest: item.openInterest ? String(item.openInterest) : ticker.info.openInterest || null,
+                    fundingRate: item.fundingRate ? String(item.fundingRate) : ticker.info.fundingRate || null,
+                    fundingTime: item.fundingTime ? Number(item.fundingTime) : ticker.info.fundingTime || null,
+                    nextFundingTime: item.nextFundingTime ? Number(item.nextFundingTime) : ticker.info.nextFundingTime || null
                 }
+            });
+            processed++;
+        }
+        if (config.logging.enableTickerLogs) {
+            logger.tickerInfo('edgex', `Processed ${processed} tickers via WebSocket`);
+        }
+    }
+
+    // depth 推送：depthType 为 SNAPSHOT 时重建盘口，CHANGED 为增量（size 为 0 表示删除该档）
+    processDepthData(items) {
+        if (!Array.isArray(items)) return;
+        for (const item of items) {
+            const contractId = String(item?.contractId || '');
+            const symbol = this.contractIdToSymbol[contractId];
+            if (!symbol) continue;
 
-                const ts = Number(item.endTime || item.highTime || item.lowTime || item.startTime || Date.now());
-                const last = parseFloat(item.lastPrice);
-                const high = parseFloat(item.high);
-                const low = parseFloat(item.low);
-                const open = parseFloat(item.open);
-                const close = parseFloat(item.close);
-                const baseVolume = parseFloat(item.size);
-                const quoteVolume = parseFloat(item.value);
-
-                this.tickersMap[c.symbol] = {
-                    symbol: c.symbol,
-                    timestamp: ts,
-                    datetime: new Date(ts).toISOString(),
-                    high: isFinite(high) ? high : null,
-                    low: isFinite(low) ? low : null,
-                    bid: null,
-                    bidVolume: null,
-                    ask: null,
-                    askVolume: null,
-                    vwap: null,
-                    open: isFinite(open) ? open : null,
-                    close: isFinite(close) ? close : null,
-                    last: isFinite(last) ? last : null,
-                    previousClose: null,
-                    change: null,
-                    percentage: null,
-                    average: null,
-                    baseVolume: isFinite(baseVolume) ? baseVolume : null,
-                    quoteVolume: isFinite(quoteVolume) ? quoteVolume : null,
-                    info: {
-                        contractId: c.id,
-                        indexPrice: item.indexPrice ? String(item.indexPrice) : null,
-                        oraclePrice: item.oraclePrice ? String(item.oraclePrice) : null,
-                        openInterest: item.openInterest ? String(item.openInterest) : null,
-                        fundingRate: item.fundingRate ? String(item.fundingRate) : null,
-                        fundingTime: item.fundingTime ? Number(item.fundingTime) : null,
-                        nextFundingTime: item.nextFundingTime ? Number(item.nextFundingTime) : null
+            if (String(item.depthType).toUpperCase() === 'SNAPSHOT' || !this.books[contractId]) {
+                this.books[contractId] = { bids: new Map(), asks: new Map() };
+            }
+            const book = this.books[contractId];
+            for (const side of ['bids', 'asks']) {
+                for (const level of item[side] || []) {
+                    const price = Array.isArray(level) ? level[0] : level?.price;
+                    const size = parseFloat(Array.isArray(level) ? level[1] : level?.size);
+                    if (price === undefined) continue;
+                    if (size > 0) {
+                        book[side].set(String(price), size);
+                    } else {
+                        book[side].delete(String(price));
                     }
-                };
-                success++;
-            } catch (e) {
-                failed++;
-                const status = e.response?.status;
-                const reason =
-                    status === 429 ? 'rateLimit' :
-                    status >= 500 ? 'server' :
-                    e.code === 'ECONNABORTED' ? 'timeout' :
-                    'network';
-                logger.exchangeError('edgex', 'TICKER', `getTicker failed for ${c.symbol}(${c.id})`, {
-                    status,
-                    reason,
-                    error: e.message
-                });
+                }
             }
-        });
+            book.timestamp = Date.now();
+
+            const ticker = this.ensureTicker(contractId, symbol);
+            const top = this.topOfBook(contractId);
+            ticker.bid = top ? top.bid : null;
+            ticker.bidVolume = top ? top.bidSize : null;
+            ticker.ask = top ? top.ask : null;
+            ticker.askVolume = top ? top.askSize : null;
+        }
+    }
 
-        if (config.logging.enableTickerLogs) {
-            logger.tickerInfo('edgex', `Fetched ${success} tickers, failed ${failed}, skipped ${skipped}`);
+    // depth.15 至多 15 档，直接遍历取最优价；盘口交叉时视为不可用
+    topOfBook(contractId) {
+        const book = this.books[contractId];
+        if (!book) return null;
+
+        let bid = null;
+        let bidSize = null;
+        for (const [price, size] of book.bids) {
+            const p = parseFloat(price);
+            if (bid === null || p > bid) { bid = p; bidSize = size; }
         }
+        let ask = null;
+        let askSize = null;
+        for (const [price, size] of book.asks) {
+            const p = parseFloat(price);
+            if (ask === null || p < ask) { ask = p; askSize = size; }
+        }
+
+        if (bid === null || ask === null || bid >= ask) return null;
+        return { bid, bidSize, ask, askSize };
+    }
+
+    async fetchTickers() {
+        this.assertStreamFresh();
         return this.tickersMap;
     }
 
+    handleReconnect(reconnectFn) {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            logger.websocket('edgex', 'error', 'Max reconnect attempts reached');
+            return;
+        }
+        this.reconnectAttempts++;
+        this.totalReconnects = (this.totalReconnects || 0) + 1;
+        const delay = this.reconnectDelay * this.reconnectAttempts;
+        logger.websocket('edgex', 'reconnecting', `Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => reconnectFn(), delay);
+    }
+
+    disconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.ws) {
+            // 移除监听器，避免 close/error 回调触发重连
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
+            this.ws.close(1000, 'Normal closure');
+            this.ws = null;
+        }
+        this.isConnected = false;
+        this.books = {};
+    }
+
     // 拉取资金费率（使用 Funding API 的 getLatestFundingRate）
     async fetchFundingInfo() {
         const url = `${this.baseUrl}/api/v1/public/funding/getLatestFundingRate`;
@@ -302,23 +474,29 @@ class EdgexExchange {
                     timeMs = timeMs * 1000;
                 }
 
-                const intervalMin = item.fundingRateIntervalMin ? Number(item.fundingRateIntervalMin) : null;
+                const intervalMin = item.fundingRateIntervalMin ? Number(item.fundingRateIntervalMin) : c.fundingRateIntervalMin;
                 const nextFundingTimeMs = (timeMs != null && intervalMin != null)
                     ? timeMs + intervalMin * 60 * 1000
                     : null;
 
-                this.fundingMap[c.symbol] = {
-                    fundingRate: parseFloat(item.fundingRate),
+                const fundingRate = parseFloat(item.fundingRate);
+                const forecastFundingRate = item.forecastFundingRate ? parseFloat(item.forecastFundingRate) : null;
+                const previousFundingRate = item.previousFundingRate ? parseFloat(item.previousFundingRate) : null;
+
+                this.updateFunding(c.symbol, {
+                    fundingRate,
                     // 前端读取的是 fundingTime，这里赋为“下一次费率更新时间（毫秒）”
                     fundingTime: nextFundingTimeMs,
-                    forecastFundingRate: item.forecastFundingRate ? parseFloat(item.forecastFundingRate) : null,
-                    previousFundingRate: item.previousFundingRate ? parseFloat(item.previousFundingRate) : null,
+                    predictedFundingRate: forecastFundingRate ?? fundingRate,
+                    lastSettledFundingRate: previousFundingRate,
+                    forecastFundingRate,
+                    previousFundingRate,
                     premiumIndex: item.premiumIndex ? parseFloat(item.premiumIndex) : null,
                     avgPremiumIndex: item.avgPremiumIndex ? parseFloat(item.avgPremiumIndex) : null,
                     fundingRateIntervalMin: intervalMin,
                     // 同时补充小时制的间隔，方便前端显示
                     fundingInterval: intervalMin != null ? intervalMin / 60 : null
-                };
+                });
                 success++;
             } catch (e) {
                 failed++;
@@ -344,14 +522,65 @@ class EdgexExchange {
         return this.fundingMap;
     }
 
-    getFundingMap() {
-        return this.fundingMap;
+    getOrderBook(symbol, limit = this.wsBookDepth) {
+        const contractId = this.symbolToContractId[symbol];
+        if (!contractId || !this.isConnected) return null;
+        return bookFromMaps(this.books[contractId], limit);
     }
 
-    // 为对齐接口，保留空的 WS 断开方法
-    disconnect() {
-        // 当前使用 REST 轮询，无持久连接
+    // getDepth 仅支持 15 / 200 档
+    async fetchOrderBook(symbol, limit = 15) {
+        const contractId = this.symbolToContractId[symbol];
+        if (!contractId) throw new Error(`Edgex: unknown symbol ${symbol}`);
+        const r = await this.requestWithRetry(() => axios.get(`${this.baseUrl}/api/v1/public/quote/getDepth`, {
+            params: { contractId, level: limit <= 15 ? 15 : 200 },
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        }), 'DEPTH');
+        const depth = Array.isArray(r.data?.data) ? r.data.data[0] : r.data?.data;
+        return {
+            bids: normalizeLevels(depth?.bids, 'bids', limit),
+            asks: normalizeLevels(depth?.asks, 'asks', limit),
+            timestamp: Date.now()
+        };
     }
+
+    // getFundingRatePage 只取结算记录（filterSettlementFundingRate），按 offsetData 翻页
+    async fetchFundingHistory(symbol, since) {
+        const contractId = this.symbolToContractId[symbol];
+        if (!contractId) return [];
+
+        const records = [];
+        let offsetData = '';
+        for (let page = 0; page < 10; page++) {
+            const r = await this.requestWithRetry(() => axios.get(`${this.baseUrl}/api/v1/public/funding/getFundingRatePage`, {
+                params: {
+                    contractId,
+                    size: 100,
+                    offsetData,
+                    filterSettlementFundingRate: true,
+                    filterBeginTimeInclusive: since,
+                    filterEndTimeExclusive: Date.now()
+                },
+                httpsAgent: this.proxyAgent,
+                timeout: this.requestTimeout
+            }), 'FUNDING');
+
+            const list = Array.isArray(r.data?.data?.dataList) ? r.data.data.dataList : [];
+            for (const item of list) {
+                records.push({
+                    fundingTime: Number(item.fundingTimestamp || item.fundingTime),
+                    fundingRate: parseFloat(item.fundingRate)
+                });
+            }
+            offsetData = r.data?.data?.nextPageOffsetData || '';
+            if (!offsetData || list.length === 0) break;
+        }
+        return records
+            .filter(item => item.fundingTime >= since)
+            .sort((a, b) => a.fundingTime - b.fundingTime);
+    }
+
 }
 
 module.exports = EdgexExchange;
\ No newline at end of file
@@ -0,0 +1,401 @@
+const axios = require('axios');
+const WebSocket = require('ws');
+const { getProxyAgent } = require('../utils/proxy');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const BaseExchange = require('./base');
+const { normalizeLevels } = require('../utils/orderbook');
+
+class GateExchange extends BaseExchange {
+    constructor() {
+        super('gate', 'Gate');
+        this.proxyAgent = getProxyAgent();
+        this.baseUrl = 'https://api.gateio.ws/api/v4';
+        this.wsUrl = 'wss://fx-ws.gateio.ws/v4/ws/usdt';
+        this.requestTimeout = config.exchanges.gate?.timeout || 10000;
+
+        this.markets = {};       // 'BTC_USDT' -> { id, symbol, base, quote, multiplier }
+
+        // WebSocket 状态
+        this.ws = null;
+        this.isConnected = false;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 5;
+        this.reconnectDelay = 5000;
+        this.pingInterval = null;
+        this.reconnectTimer = null;
+        this.lastMessageTime = null;
+        this.lastFundingMessageTime = null;
+        this.lastFundingReconcile = null;
+    }
+
+    async initialize() {
+        try {
+            await this.loadMarkets();
+            await this.connectWebSocket(Object.keys(this.markets));
+            logger.exchangeInit('gate', true);
+        } catch (error) {
+            logger.exchangeInit('gate', false, error);
+            throw error;
+        }
+    }
+
+    // GET /futures/usdt/contracts：合约列表，同时携带资金费率、结算周期与下次结算时间
+    async requestContracts() {
+        const response = await axios.get(`${this.baseUrl}/futures/usdt/contracts`, {
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        if (!Array.isArray(response.data)) {
+            throw new Error('Invalid contracts response from Gate');
+        }
+        return response.data;
+    }
+
+    async loadMarkets() {
+        const contracts = await this.requestContracts();
+
+        this.markets = {};
+        for (const c of contracts) {
+            if (!c?.name || c.in_delisting) continue;
+            const [base, quote] = c.name.split('_');
+            if (quote !== 'USDT') continue;
+
+            this.markets[c.name] = {
+                id: c.name,
+                symbol: `${base}/USDT:USDT`,
+                base,
+                quote,
+                // 一张合约对应的币数量，用于把盘口张数换算为币数量
+                multiplier: Number(c.quanto_multiplier) || 1
+            };
+        }
+
+        logger.exchangeInfo('gate', 'INIT', `Loaded ${Object.keys(this.markets).length} USDT perpetual contracts`);
+    }
+
+    async connectWebSocket(contracts) {
+        try {
+            if (this.ws) {
+                this.ws.removeAllListeners();
+                this.ws.on('error', () => {});
+                this.ws.close();
+            }
+
+            this.ws = new WebSocket(this.wsUrl, {
+                agent: this.proxyAgent,
+                handshakeTimeout: 30000,
+                perMessageDeflate: false,
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (compatible; GateWSClient/1.0)'
+                }
+            });
+
+            const connectionTimeout = setTimeout(() => {
+                if (this.ws && this.ws.readyState === WebSocket.CONNECTING) {
+                    logger.websocket('gate', 'error', 'connection_timeout');
+                    this.ws.terminate();
+                }
+            }, 15000);
+
+            this.ws.on('open', () => {
+                clearTimeout(connectionTimeout);
+                this.isConnected = true;
+                this.reconnectAttempts = 0;
+                this.lastMessageTime = Date.now();
+                logger.websocket('gate', 'connected', 'WebSocket connected successfully');
+
+                // tickers 提供成交价/成交量/资金费率，book_ticker 提供实时最优买卖价
+                this.subscribeInBatches('futures.tickers', contracts);
+                this.subscribeInBatches('futures.book_ticker', contracts);
+                this.setupPingPong();
+            });
+
+            this.ws.on('message', (raw) => {
+                try {
+                    this.lastMessageTime = Date.now();
+                    const msg = JSON.parse(raw.toString());
+
+                    if (msg.error) {
+                        logger.websocket('gate', 'error', `WS error: ${msg.channel} code=${msg.error.code}, msg=${msg.error.message}`);
+                        return;
+                    }
+                    if (msg.event !== 'update' || !msg.result) {
+                        return; // 订阅确认 / futures.pong
+                    }
+                    if (msg.channel === 'futures.tickers') {
+                        this.processTickerData(Array.isArray(msg.result) ? msg.result : [msg.result]);
+                    } else if (msg.channel === 'futures.book_ticker') {
+                        this.processBookTicker(msg.result);
+                    }
+                } catch (e) {
+                    logger.websocket('gate', 'error', `Message parse error: ${e.message}`);
+                }
+            });
+
+            this.ws.on('close', (code, reason) => {
+                this.isConnected = false;
+                this.clearPingPong();
+                logger.websocket('gate', 'disconnected', `Closed: ${code} ${reason || ''}`);
+                this.handleReconnect(() => this.connectWebSocket(contracts));
+            });
+
+            this.ws.on('error', (err) => {
+                this.isConnected = false;
+                logger.websocket('gate', 'error', `WS error: ${err.code || ''} ${err.message}`);
+                // error 之后 ws 会触发 close，由 close 统一重连
+            });
+        } catch (err) {
+            logger.websocket('gate', 'error', `Connect error: ${err.message}`);
+            this.handleReconnect(() => this.connectWebSocket(contracts));
+        }
+    }
+
+    subscribeInBatches(channel, contracts) {
+        const batchSize = 100;
+        let batches = 0;
+        for (let i = 0; i < contracts.length; i += batchSize) {
+            this.ws.send(JSON.stringify({
+                time: Math.floor(Date.now() / 1000),
+                channel,
+                event: 'subscribe',
+                payload: contracts.slice(i, i + batchSize)
+            }));
+            batches++;
+        }
+        logger.websocket('gate', 'connected', `Subscribed to ${contracts.length} ${channel} in ${batches} batches`);
+    }
+
+    // 获取或创建 ticker 缓存项：tickers 与 book_ticker 两路推送合并到同一条记录
+    ensureTicker(market) {
+        if (!this.tickersMap[market.symbol]) {
+            this.tickersMap[market.symbol] = {
+                symbol: market.symbol,
+                timestamp: Date.now(),
+                datetime: new Date().toISOString(),
+                high: null,
+                low: null,
+                bid: null,
+                bidVolume: null,
+                ask: null,
+                askVolume: null,
+                vwap: null,
+                open: null,
+                close: null,
+                last: null,
+                previousClose: null,
+                change: null,
+                percentage: null,
+                average: null,
+                baseVolume: null,
+                quoteVolume: null,
+                info: {}
+            };
+        }
+        return this.tickersMap[market.symbol];
+    }
+
+    processTickerData(items) {
+        let processed = 0;
+        for (const item of items) {
+            const market = this.markets[item?.contract];
+            if (!market) continue;
+
+            const ticker = this.ensureTicker(market);
+            const last = item.last ? parseFloat(item.last) : null;
+            const now = Date.now();
+            Object.assign(ticker, {
+                timestamp: now,
+                datetime: new Date(now).toISOString(),
+                high: item.high_24h ? parseFloat(item.high_24h) : null,
+                low: item.low_24h ? parseFloat(item.low_24h) : null,
+                close: last,
+                last,
+                percentage: item.change_percentage ? parseFloat(item.change_percentage) : null,
+                baseVolume: item.volume_24h_base ? parseFloat(item.volume_24h_base) : null,
+                quoteVolume: item.volume_24h_quote ? parseFloat(item.volume_24h_quote) : null,
+                info: { ...ticker.info, ...item }
+            });
+            if (this.applyStreamedFunding(market, item)) this.lastFundingMessageTime = now;
+            processed++;
+        }
+        if (config.logging.enableTickerLogs) {
+            logger.tickerInfo('gate', `Processed ${processed} tickers via WebSocket`);
+        }
+    }
+
+    // futures.tickers 推送当前费率但不含结算时间与周期：沿用 REST 对账得到的值，越过结算时间后按周期顺延
+    applyStreamedFunding(market, item) {
+        const fundingRate = parseFloat(item.funding_rate);
+        const existing = this.fundingMap[market.symbol];
+        if (!Number.isFinite(fundingRate) || !existing) return false;
+
+        const entry = { fundingRate };
+        const intervalMs = existing.fundingInterval * 3600000;
+        const now = Date.now();
+        if (existing.fundingTime && intervalMs > 0 && now >= existing.fundingTime) {
+            entry.fundingTime = existing.fundingTime + (Math.floor((now - existing.fundingTime) / intervalMs) + 1) * intervalMs;
+        }
+        this.updateFunding(market.symbol, entry);
+        return true;
+    }
+
+    processBookTicker(item) {
+        const market = this.markets[item?.s];
+        if (!market) return;
+
+        const ticker = this.ensureTicker(market);
+        const ts = item.t ? Number(item.t) : Date.now();
+        ticker.timestamp = ts;
+        ticker.datetime = new Date(ts).toISOString();
+        ticker.bid = item.b ? parseFloat(item.b) : null;
+        ticker.ask = item.a ? parseFloat(item.a) : null;
+        ticker.bidVolume = item.B != null ? Number(item.B) * market.multiplier : null;
+        ticker.askVolume = item.A != null ? Number(item.A) * market.multiplier : null;
+    }
+
+    async fetchTickers() {
+        this.assertStreamFresh();
+        return this.tickersMap;
+    }
+
+    async fetchFundingInfo() {
+        try {
+            if (!this.needsFundingReconcile()) {
+                if (config.logging.enableDetailedFunding) {
+                    logger.fundingInfo('gate', 'Funding rates streaming via WebSocket, skipping REST reconcile');
+                }
+                return this.fundingMap;
+            }
+
+            logger.fundingInfo('gate', 'Starting funding rate fetch');
+
+            const contracts = await this.requestContracts();
+            let successCount = 0;
+            let errorCount = 0;
+
+            for (const c of contracts) {
+                const market = this.markets[c?.name];
+                if (!market) continue;
+
+                const fundingRate = parseFloat(c.funding_rate);
+                if (!Number.isFinite(fundingRate)) {
+                    errorCount++;
+                    continue;
+                }
+
+                // funding_interval 单位为秒，funding_next_apply 为秒级时间戳
+                const fundingInterval = c.funding_interval ? Number(c.funding_interval) / 3600 : 8;
+                const nextFundingTime = c.funding_next_apply ? Number(c.funding_next_apply) * 1000 : null;
+
+                this.updateFunding(market.symbol, {
+                    fundingRate,
+                    fundingTime: nextFundingTime,
+                    fundingInterval
+                });
+                successCount++;
+
+                if (config.logging.enableDetailedFunding) {
+                    logger.fundingSuccess('gate', `${c.name} -> ${market.symbol}`, {
+                        fundingRate,
+                        nextFundingTime,
+                        fundingInterval
+                    });
+                }
+            }
+
+            this.lastFundingReconcile = Date.now();
+            logger.fundingSummary('gate', 'Funding rate fetch completed', {
+                successCount,
+                errorCount,
+                totalSymbols: Object.keys(this.fundingMap).length,
+                totalReceived: contracts.length
+            });
+            return this.fundingMap;
+        } catch (error) {
+            logger.fundingError('gate', 'Error fetching funding rates', error);
+            throw error;
+        }
+    }
+
+    // 档位为 { p, s }，s 为张数，按 quanto_multiplier 换算为币数量
+    async fetchOrderBook(symbol, limit = 20) {
+        const market = Object.values(this.markets).find(m => m.symbol === symbol);
+        if (!market) throw new Error(`Gate: unknown symbol ${symbol}`);
+        const response = await axios.get(`${this.baseUrl}/futures/usdt/order_book`, {
+            params: { contract: market.id, limit: Math.min(limit, 300) },
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        return {
+            bids: normalizeLevels(response.data?.bids, 'bids', limit, market.multiplier),
+            asks: normalizeLevels(response.data?.asks, 'asks', limit, market.multiplier),
+            timestamp: response.data?.current ? Math.round(Number(response.data.current) * 1000) : Date.now()
+        };
+    }
+
+    // funding_rate 返回 { t: 秒级时间戳, r: 费率 }，按时间倒序
+    async fetchFundingHistory(symbol, since) {
+        const market = Object.values(this.markets).find(m => m.symbol === symbol);
+        if (!market) return [];
+
+        const response = await axios.get(`${this.baseUrl}/futures/usdt/funding_rate`, {
+            params: { contract: market.id, from: Math.floor(since / 1000), limit: 1000 },
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        return (Array.isArray(response.data) ? response.data : [])
+            .map(item => ({ fundingTime: Number(item.t) * 1000, fundingRate: parseFloat(item.r) }))
+            .filter(item => item.fundingTime >= since)
+            .sort((a, b) => a.fundingTime - b.fundingTime);
+    }
+
+    setupPingPong() {
+        this.clearPingPong();
+        // Gate 使用应用层 futures.ping 保活
+        this.pingInterval = setInterval(() => {
+            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                try {
+                    this.ws.send(JSON.stringify({ time: Math.floor(Date.now() / 1000), channel: 'futures.ping' }));
+                } catch (_) {}
+            }
+        }, 20000);
+    }
+
+    clearPingPong() {
+        if (this.pingInterval) {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+        }
+    }
+
+    handleReconnect(reconnectFn) {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            logger.websocket('gate', 'error', 'Max reconnect attempts reached');
+            return;
+        }
+        this.reconnectAttempts++;
+        this.totalReconnects = (this.totalReconnects || 0) + 1;
+        const delay = this.reconnectDelay * this.reconnectAttempts;
+        logger.websocket('gate', 'reconnecting', `Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => reconnectFn(), delay);
+    }
+
+    disconnect() {
+        this.clearPingPong();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.ws) {
+            // 移除监听器，避免 close/error 回调触发重连
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
+            this.ws.close(1000, 'Normal closure');
+            this.ws = null;
+        }
+        this.isConnected = false;
+    }
+}
+
+module.exports = GateExchange;
@@ -1,23 +1,48 @@
 const axios = require('axios');
+const WebSocket = require('ws');
 const { getProxyAgent } = require('../utils/proxy');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const BaseExchange = require('./base');
+const { normalizeLevels } = require('../utils/orderbook');
 
-class HyperliquidExchange {
+const HOUR_MS = 3600000;
+
+class HyperliquidExchange extends BaseExchange {
     constructor() {
-        this.name = 'Hyperliquid';
+        super('hyperliquid', 'Hyperliquid');
         this.proxyAgent = getProxyAgent();
-        this.fundingMap = {};
-        this.tickersMap = {};
-        this.baseUrl = 'https://api.hyperliquid.xyz';
+        this.baseUrl = config.exchanges.hyperliquid?.baseUrl || 'https://api.hyperliquid.xyz';
+        this.wsUrl = config.exchanges.hyperliquid?.wsUrl || 'wss://api.hyperliquid.xyz/ws';
         this.universe = []; // 存储所有可用的合约信息
         this.maxRetries = 3;
-        this.requestTimeout = 15000;
+        this.requestTimeout = config.exchanges.hyperliquid?.timeout || 15000;
+
+        // 行情缓存：REST 快照初始化，之后由 WebSocket 推送更新
+        this.assetCtxs = {};     // coin -> activeAssetCtx.ctx（markPx、oraclePx、funding、openInterest、impactPxs ...）
+        this.mids = {};          // coin -> allMids 推送的中间价
+        this.books = {};         // coin -> l2Book 快照 { bids: [[px, sz]], asks: [[px, sz]], time }
+        this.wsBookDepth = 20;   // l2Book 每侧最多 20 档，所有合约均已订阅
+
+        // WebSocket 状态
+        this.ws = null;
+        this.isConnected = false;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 5;
+        this.reconnectDelay = 5000;
+        this.pingInterval = null;
+        this.reconnectTimer = null;
+        this.lastMessageTime = null;
+        this.connectionStartTime = null;
+        this.totalReconnects = 0;
+        this.lastErrorType = null;
+        this.consecutiveErrors = 0;
     }
 
     async initialize() {
         try {
             await this.loadMarkets();
+            await this.connectWebSocket();
             logger.exchangeInit('hyperliquid', true);
         } catch (error) {
             logger.exchangeInit('hyperliquid', false, error);
@@ -25,201 +50,287 @@ class HyperliquidExchange {
         }
     }
 
-    // 加载市场信息，获取 universe (所有可用合约)
+    // metaAndAssetCtxs：universe 与各合约上下文（按下标对应）
+    async requestMetaAndAssetCtxs() {
+        const response = await axios.post(`${this.baseUrl}/info`, {
+            type: 'metaAndAssetCtxs'
+        }, {
+            headers: { 'Content-Type': 'application/json' },
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+
+        if (!response.data || !Array.isArray(response.data) || response.data.length < 2) {
+            throw new Error('Invalid metaAndAssetCtxs response structure');
+        }
+
+        const [metaData, assetCtxs] = response.data;
+        if (!Array.isArray(metaData?.universe) || !Array.isArray(assetCtxs)) {
+            throw new Error('Invalid universe or assetCtxs data');
+        }
+        return { universe: metaData.universe, assetCtxs };
+    }
+
+    // 加载市场信息（universe），同时用 REST 快照初始化合约上下文
     async loadMarkets() {
         try {
-            const response = await axios.post(`${this.baseUrl}/info`, {
-                type: 'meta'
-            }, {
-                headers: { 'Content-Type': 'application/json' },
-                httpsAgent: this.proxyAgent,
-                timeout: this.requestTimeout
-            });
-
-            if (response.data && response.data.universe) {
-                this.universe = response.data.universe;
-                logger.exchangeSuccess('hyperliquid', 'MARKETS', `Loaded ${this.universe.length} markets`);
-            } else {
-                throw new Error('Failed to get universe data from Hyperliquid');
-            }
+            const { universe, assetCtxs } = await this.requestMetaAndAssetCtxs();
+            this.universe = universe.filter(coin => coin && coin.name && !coin.isDelisted);
+            this.applyAssetCtxSnapshot(universe, assetCtxs);
+            logger.exchangeSuccess('hyperliquid', 'MARKETS', `Loaded ${this.universe.length} markets`);
         } catch (error) {
             logger.exchangeError('hyperliquid', 'MARKETS', 'Failed to load markets', error);
             throw error;
         }
     }
 
-    // 获取价格数据，使用 metaAndAssetCtxs 类型获取 midPx、markPx 等
-    async fetchTickers() {
+    applyAssetCtxSnapshot(universe, assetCtxs) {
+        for (let i = 0; i < Math.min(universe.length, assetCtxs.length); i++) {
+            const coin = universe[i];
+            if (coin?.name && assetCtxs[i]) {
+                this.assetCtxs[coin.name] = assetCtxs[i];
+            }
+        }
+    }
+
+    async connectWebSocket() {
         try {
-            const response = await axios.post(`${this.baseUrl}/info`, {
-                type: 'metaAndAssetCtxs'
-            }, {
-                headers: { 'Content-Type': 'application/json' },
-                httpsAgent: this.proxyAgent,
-                timeout: this.requestTimeout
+            if (this.ws) {
+                this.ws.removeAllListeners();
+                this.ws.on('error', () => {});
+                this.ws.close();
+            }
+
+            this.connectionStartTime = Date.now();
+            this.ws = new WebSocket(this.wsUrl, {
+                agent: this.proxyAgent,
+                handshakeTimeout: 30000,
+                perMessageDeflate: false
             });
 
-            if (!response.data || !Array.isArray(response.data) || response.data.length < 2) {
-                throw new Error('Invalid metaAndAssetCtxs response structure');
-            }
+            const connectionTimeout = setTimeout(() => {
+                if (this.ws && this.ws.readyState === WebSocket.CONNECTING) {
+                    logger.websocket('hyperliquid', 'error', 'connection_timeout');
+                    this.ws.terminate();
+                }
+            }, 15000);
 
-            const [metaData, assetCtxs] = response.data;
-            const universe = metaData.universe;
-            
-            if (!Array.isArray(universe) || !Array.isArray(assetCtxs)) {
-                throw new Error('Invalid universe or assetCtxs data');
-            }
+            this.ws.on('open', () => {
+                clearTimeout(connectionTimeout);
+                this.isConnected = true;
+                this.reconnectAttempts = 0;
+                this.consecutiveErrors = 0;
+                this.lastErrorType = null;
+                this.lastMessageTime = Date.now();
+                logger.websocket('hyperliquid', 'connected', `WebSocket connected successfully (total reconnects: ${this.totalReconnects})`);
 
-            this.tickersMap = {};
-            let processed = 0;
-            let failed = 0;
+                // allMids 一条订阅覆盖全部合约；activeAssetCtx 需按币种订阅，提供 mark/oracle/资金费率/持仓量；
+                // l2Book 按币种订阅，提供真实盘口最优买卖价
+                this.subscribe({ type: 'allMids' });
+                for (const coin of this.universe) {
+                    this.subscribe({ type: 'activeAssetCtx', coin: coin.name });
+                    this.subscribe({ type: 'l2Book', coin: coin.name });
+                }
+                logger.websocket('hyperliquid', 'connected', `Subscribed to allMids, ${this.universe.length} activeAssetCtx and l2Book feeds`);
+                this.setupPingPong();
+            });
 
-            for (let i = 0; i < Math.min(universe.length, assetCtxs.length); i++) {
+            this.ws.on('message', (raw) => {
                 try {
-                    const coin = universe[i];
-                    const ctx = assetCtxs[i];
+                    this.lastMessageTime = Date.now();
+                    const msg = JSON.parse(raw.toString());
 
-                    if (!coin || !coin.name || !ctx) {
-                        failed++;
-                        continue;
-                    }
-
-                    // 标准化符号格式：BTC -> BTC/USDC:USDC 
-                    // 符合现有聚合系统的 BASE/QUOTE:SETTLEMENT 格式
-                    const symbol = `${coin.name}/USDC:USDC`;
-                    
-                    const timestamp = Date.now();
-                    const midPx = ctx.midPx ? parseFloat(ctx.midPx) : null;
-                    const markPx = ctx.markPx ? parseFloat(ctx.markPx) : null;
-                    const oraclePx = ctx.oraclePx ? parseFloat(ctx.oraclePx) : null;
-                    const prevDayPx = ctx.prevDayPx ? parseFloat(ctx.prevDayPx) : null;
-                    const dayNtlVlm = ctx.dayNtlVlm ? parseFloat(ctx.dayNtlVlm) : null;
-
-                    this.tickersMap[symbol] = {
-                        symbol,
-                        timestamp,
-                        datetime: new Date(timestamp).toISOString(),
-                        high: null, // Hyperliquid 不直接提供 24h high/low
-                        low: null,
-                        bid: ctx.impactPxs && ctx.impactPxs[0] ? parseFloat(ctx.impactPxs[0]) : null,
-                        bidVolume: null,
-                        ask: ctx.impactPxs && ctx.impactPxs[1] ? parseFloat(ctx.impactPxs[1]) : null,
-                        askVolume: null,
-                        vwap: null,
-                        open: prevDayPx,
-                        close: midPx,
-                        last: midPx,
-                        previousClose: prevDayPx,
-                        change: (midPx && prevDayPx) ? midPx - prevDayPx : null,
-                        percentage: (midPx && prevDayPx && prevDayPx > 0) ? ((midPx - prevDayPx) / prevDayPx) * 100 : null,
-                        average: markPx,
-                        baseVolume: dayNtlVlm, // 使用日成交量
-                        quoteVolume: null,
-                        info: {
-                            coin: coin.name,
-                            szDecimals: coin.szDecimals,
-                            maxLeverage: coin.maxLeverage,
-                            onlyIsolated: coin.onlyIsolated || false,
-                            isDelisted: coin.isDelisted || false,
-                            markPx,
-                            oraclePx,
-                            openInterest: ctx.openInterest ? parseFloat(ctx.openInterest) : null,
-                            premium: ctx.premium ? parseFloat(ctx.premium) : null,
-                            funding: ctx.funding ? parseFloat(ctx.funding) : null,
-                            impactPxs: ctx.impactPxs
+                    if (msg.channel === 'allMids') {
+                        Object.assign(this.mids, msg.data?.mids || {});
+                    } else if (msg.channel === 'activeAssetCtx') {
+                        if (msg.data?.coin && msg.data.ctx) {
+                            this.assetCtxs[msg.data.coin] = msg.data.ctx;
                         }
-                    };
-                    processed++;
-                } catch (itemError) {
-                    failed++;
-                    logger.exchangeError('hyperliquid', 'TICKER', `Failed to process ticker for ${universe[i]?.name || 'unknown'}`, itemError);
+                    } else if (msg.channel === 'l2Book') {
+                        this.processL2Book(msg.data);
+                    } else if (msg.channel === 'error') {
+                        logger.websocket('hyperliquid', 'error', `WS error: ${msg.data}`);
+                    }
+                    // subscriptionResponse / pong 无需处理
+                    this.consecutiveErrors = 0;
+                } catch (e) {
+                    this.consecutiveErrors++;
+                    this.lastErrorType = 'message_parsing';
+                    logger.websocket('hyperliquid', 'error', `Message parse error: ${e.message}`);
                 }
-            }
+            });
 
-            if (config.logging.enableTickerLogs) {
-                logger.tickerSuccess('hyperliquid', `Processed ${processed} tickers, failed ${failed}`);
-            }
+            this.ws.on('close', (code, reason) => {
+                this.isConnected = false;
+                this.clearPingPong();
+                // 断线期间盘口不再更新，清空以免使用过期报价
+                this.books = {};
+                logger.websocket('hyperliquid', 'disconnected', `Closed: ${code} ${reason || ''}`);
+                this.handleReconnect(() => this.connectWebSocket());
+            });
 
-            return this.tickersMap;
-        } catch (error) {
-            logger.exchangeError('hyperliquid', 'TICKER', 'Failed to fetch tickers', error);
-            throw error;
+            this.ws.on('error', (err) => {
+                this.isConnected = false;
+                this.consecutiveErrors++;
+                this.lastErrorType = err.code || 'connection';
+                logger.websocket('hyperliquid', 'error', `WS error: ${err.code || ''} ${err.message}`);
+                // error 之后 ws 会触发 close，由 close 统一重连
+            });
+        } catch (err) {
+            this.lastErrorType = 'connection_setup';
+            logger.websocket('hyperliquid', 'error', `Connect error: ${err.message}`);
+            this.handleReconnect(() => this.connectWebSocket());
         }
     }
 
-    // 获取资金费率数据
-    async fetchFundingInfo() {
-        try {
-            const response = await axios.post(`${this.baseUrl}/info`, {
-                type: 'metaAndAssetCtxs'
-            }, {
-                headers: { 'Content-Type': 'application/json' },
-                httpsAgent: this.proxyAgent,
-                timeout: this.requestTimeout
-            });
+    subscribe(subscription) {
+        this.ws.send(JSON.stringify({ method: 'subscribe', subscription }));
+    }
 
-            if (!response.data || !Array.isArray(response.data) || response.data.length < 2) {
-                throw new Error('Invalid metaAndAssetCtxs response structure');
-            }
+    // l2Book 每次推送完整快照：levels[0] 为买盘（价格降序），levels[1] 为卖盘（价格升序）
+    processL2Book(data) {
+        if (!data?.coin || !Array.isArray(data.levels)) return;
+        const toLevels = (side) => (Array.isArray(side) ? side : [])
+            .map(level => [parseFloat(level.px), parseFloat(level.sz)])
+            .filter(([px, sz]) => px > 0 && sz > 0);
 
-            const [metaData, assetCtxs] = response.data;
-            const universe = metaData.universe;
+        this.books[data.coin] = {
+            bids: toLevels(data.levels[0]),
+            asks: toLevels(data.levels[1]),
+            time: data.time || Date.now()
+        };
+    }
 
-            if (!Array.isArray(universe) || !Array.isArray(assetCtxs)) {
-                throw new Error('Invalid universe or assetCtxs data');
+    // 最优买卖价；盘口缺失或交叉时返回 null
+    topOfBook(coin) {
+        const book = this.books[coin];
+        const bid = book?.bids[0];
+        const ask = book?.asks[0];
+        if (!bid || !ask || bid[0] >= ask[0]) return null;
+        return { bid: bid[0], bidSize: bid[1], ask: ask[0], askSize: ask[1] };
+    }
+
+    // 由缓存的合约上下文与中间价合成 ticker，不再每轮请求 REST
+    async fetchTickers() {
+        this.assertStreamFresh();
+
+        const tickersMap = {};
+        let processed = 0;
+        for (const coin of this.universe) {
+            const ctx = this.assetCtxs[coin.name];
+            if (!ctx) continue;
+
+            // 标准化符号格式：BTC -> BTC/USDC:USDC
+            // 符合现有聚合系统的 BASE/QUOTE:SETTLEMENT 格式
+            const symbol = `${coin.name}/USDC:USDC`;
+
+            const timestamp = this.lastMessageTime || Date.now();
+            const wsMid = this.mids[coin.name] ? parseFloat(this.mids[coin.name]) : null;
+            const midPx = wsMid || (ctx.midPx ? parseFloat(ctx.midPx) : null);
+            const markPx = ctx.markPx ? parseFloat(ctx.markPx) : null;
+            const oraclePx = ctx.oraclePx ? parseFloat(ctx.oraclePx) : null;
+            const prevDayPx = ctx.prevDayPx ? parseFloat(ctx.prevDayPx) : null;
+            const dayNtlVlm = ctx.dayNtlVlm ? parseFloat(ctx.dayNtlVlm) : null;
+            const dayBaseVlm = ctx.dayBaseVlm ? parseFloat(ctx.dayBaseVlm) : null;
+            // bid/ask 使用 l2Book 真实盘口，与 CEX 口径一致；impactPxs 为固定名义金额的冲击价，单独保留在 info 中
+            const top = this.topOfBook(coin.name);
+            const impactBidPx = ctx.impactPxs && ctx.impactPxs[0] ? parseFloat(ctx.impactPxs[0]) : null;
+            const impactAskPx = ctx.impactPxs && ctx.impactPxs[1] ? parseFloat(ctx.impactPxs[1]) : null;
+
+            tickersMap[symbol] = {
+                symbol,
+                timestamp,
+                datetime: new Date(timestamp).toISOString(),
+                high: null, // Hyperliquid 不直接提供 24h high/low
+                low: null,
+                bid: top ? top.bid : null,
+                bidVolume: top ? top.bidSize : null,
+                ask: top ? top.ask : null,
+                askVolume: top ? top.askSize : null,
+                vwap: null,
+                open: prevDayPx,
+                close: midPx,
+                last: midPx,
+                previousClose: prevDayPx,
+                change: (midPx && prevDayPx) ? midPx - prevDayPx : null,
+                percentage: (midPx && prevDayPx && prevDayPx > 0) ? ((midPx - prevDayPx) / prevDayPx) * 100 : null,
+                average: markPx,
+                baseVolume: dayBaseVlm,
+                quoteVolume: dayNtlVlm, // dayNtlVlm 为 USD 名义成交额
+                info: {
+                    coin: coin.name,
+                    szDecimals: coin.szDecimals,
+                    maxLeverage: coin.maxLeverage,
+                    onlyIsolated: coin.onlyIsolated || false,
+                    isDelisted: coin.isDelisted || false,
+                    markPx,
+                    oraclePx,
+                    openInterest: ctx.openInterest ? parseFloat(ctx.openInterest) : null,
+                    premium: ctx.premium ? parseFloat(ctx.premium) : null,
+                    funding: ctx.funding ? parseFloat(ctx.funding) : null,
+                    impactPxs: ctx.impactPxs,
+                    impactBidPx,
+                    impactAskPx,
+                    bookTime: this.books[coin.name]?.time || null
+                }
+            };
+            processed++;
+        }
+        this.tickersMap = tickersMap;
+
+        if (config.logging.enableTickerLogs) {
+            logger.tickerSuccess('hyperliquid', `Built ${processed} tickers from WebSocket cache`);
+        }
+        return this.tickersMap;
+    }
+
+    // 资金费率取自 activeAssetCtx 推送；WebSocket 断开时回退一次 REST 快照
+    async fetchFundingInfo() {
+        try {
+            if (!this.isConnected) {
+                const { universe, assetCtxs } = await this.requestMetaAndAssetCtxs();
+                this.applyAssetCtxSnapshot(universe, assetCtxs);
+                logger.exchangeWarn('hyperliquid', 'FUNDING', 'WebSocket not connected, refreshed asset contexts via REST');
             }
 
-            this.fundingMap = {};
+            // Hyperliquid 资金费率每小时整点结算
+            const nextFundingTime = (Math.floor(Date.now() / HOUR_MS) + 1) * HOUR_MS;
             let successCount = 0;
             let errorCount = 0;
 
-            for (let i = 0; i < Math.min(universe.length, assetCtxs.length); i++) {
-                try {
-                    const coin = universe[i];
-                    const ctx = assetCtxs[i];
+            for (const coin of this.universe) {
+                const ctx = this.assetCtxs[coin.name];
+                if (!ctx || ctx.funding === undefined) {
+                    errorCount++;
+                    continue;
+                }
 
-                    if (!coin || !coin.name || !ctx || ctx.funding === undefined) {
-                        errorCount++;
-                        continue;
-                    }
+                const symbol = `${coin.name}/USDC:USDC`;
+                const fundingRate = parseFloat(ctx.funding);
 
-                    const symbol = `${coin.name}/USDC:USDC`;
-                    const fundingRate = parseFloat(ctx.funding);
-                    
-                    // Hyperliquid 资金费率每小时结算，计算下一个整点时间
-                    const now = new Date();
-                    const nextHour = new Date(now);
-                    nextHour.setHours(now.getHours() + 1, 0, 0, 0);
-                    const nextFundingTime = nextHour.getTime();
-
-                    this.fundingMap[symbol] = {
-                        fundingRate,
-                        fundingTime: nextFundingTime,
-                        fundingInterval: 1, // 每小时
-                        premium: ctx.premium ? parseFloat(ctx.premium) : null,
-                        markPx: ctx.markPx ? parseFloat(ctx.markPx) : null,
-                        oraclePx: ctx.oraclePx ? parseFloat(ctx.oraclePx) : null
-                    };
-                    successCount++;
-
-                    if (config.logging.enableDetailedFunding) {
-                        logger.fundingSuccess('hyperliquid', `${coin.name} -> ${symbol}`, {
-                            fundingRate: ctx.funding,
-                            nextFundingTime,
-                            premium: ctx.premium
-                        });
-                    }
-                } catch (itemError) {
-                    errorCount++;
-                    logger.fundingError('hyperliquid', `Failed to process funding for ${universe[i]?.name || 'unknown'}`, itemError);
+                this.updateFunding(symbol, {
+                    fundingRate,
+                    fundingTime: nextFundingTime,
+                    fundingInterval: 1, // 每小时
+                    premium: ctx.premium ? parseFloat(ctx.premium) : null,
+                    markPx: ctx.markPx ? parseFloat(ctx.markPx) : null,
+                    oraclePx: ctx.oraclePx ? parseFloat(ctx.oraclePx) : null
+                });
+                successCount++;
+
+                if (config.logging.enableDetailedFunding) {
+                    logger.fundingSuccess('hyperliquid', `${coin.name} -> ${symbol}`, {
+                        fundingRate: ctx.funding,
+                        nextFundingTime,
+                        premium: ctx.premium
+                    });
                 }
             }
 
-            const totalSymbols = Math.min(universe.length, assetCtxs.length);
             logger.fundingSummary('hyperliquid', 'Funding rate fetch completed', {
                 successCount,
                 errorCount,
-                totalSymbols
+                totalSymbols: this.universe.length
             });
 
             return this.fundingMap;
@@ -229,28 +340,116 @@ class HyperliquidExchange {
         }
     }
 
-    getFundingMap() {
-        return this.fundingMap;
+    // fundingHistory 每次最多返回 500 条，按时间升序
+    async fetchFundingHistory(symbol, since) {
+        const response = await axios.post(`${this.baseUrl}/info`, {
+            type: 'fundingHistory',
+            coin: symbol.split('/')[0],
+            startTime: since
+        }, {
+            headers: { 'Content-Type': 'application/json' },
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        return (Array.isArray(response.data) ? response.data : []).map(item => ({
+            fundingTime: Number(item.time),
+            fundingRate: parseFloat(item.fundingRate)
+        }));
+    }
+
+    getOrderBook(symbol, limit = this.wsBookDepth) {
+        const book = this.books[symbol.split('/')[0]];
+        if (!book || !this.isConnected) return null;
+        return { bids: book.bids.slice(0, limit), asks: book.asks.slice(0, limit), timestamp: book.time };
+    }
+
+    async fetchOrderBook(symbol, limit = 20) {
+        const response = await axios.post(`${this.baseUrl}/info`, {
+            type: 'l2Book',
+            coin: symbol.split('/')[0]
+        }, {
+            headers: { 'Content-Type': 'application/json' },
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        const levels = response.data?.levels || [];
+        return {
+            bids: normalizeLevels(levels[0], 'bids', limit),
+            asks: normalizeLevels(levels[1], 'asks', limit),
+            timestamp: response.data?.time || Date.now()
+        };
+    }
+
+    setupPingPong() {
+        this.clearPingPong();
+        // 服务端 60s 无消息会断开连接，定期发送应用层 ping
+        this.pingInterval = setInterval(() => {
+            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                try {
+                    this.ws.send(JSON.stringify({ method: 'ping' }));
+                } catch (_) {}
+            }
+        }, 30000);
+    }
+
+    clearPingPong() {
+        if (this.pingInterval) {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+        }
+    }
+
+    handleReconnect(reconnectFn) {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            logger.websocket('hyperliquid', 'error', 'Max reconnect attempts reached');
+            return;
+        }
+        this.reconnectAttempts++;
+        this.totalReconnects++;
+        const delay = this.reconnectDelay * this.reconnectAttempts;
+        logger.websocket('hyperliquid', 'reconnecting', `Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => reconnectFn(), delay);
     }
 
-    // 为了对齐接口，提供空的 WebSocket 状态方法
     getConnectionStatus() {
         return {
-            connected: true, // REST API 模式下默认连接
-            reconnectAttempts: 0,
-            totalReconnects: 0,
-            lastMessageTime: Date.now(),
-            connectionUptime: Date.now(),
+            connected: this.isConnected,
+            reconnectAttempts: this.reconnectAttempts,
+            totalReconnects: this.totalReconnects,
+            lastMessageTime: this.lastMessageTime,
+            messageAgeMs: this.lastMessageTime ? Date.now() - this.lastMessageTime : null,
+            connectionUptime: this.isConnected && this.connectionStartTime ? Date.now() - this.connectionStartTime : 0,
             cachedTickers: Object.keys(this.tickersMap).length,
-            lastErrorType: null,
-            consecutiveErrors: 0
+            orderbooks: Object.keys(this.books).length,
+            lastErrorType: this.lastErrorType,
+            consecutiveErrors: this.consecutiveErrors
         };
     }
 
     disconnect() {
-        // REST API 模式下无需断开连接
+        this.clearPingPong();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.ws) {
+            // 移除监听器，避免 close/error 回调触发重连
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
+            this.ws.close(1000, 'Normal closure');
+            this.ws = null;
+        }
+        this.isConnected = false;
+        this.books = {};
         logger.exchangeInfo('hyperliquid', 'DISCONNECT', 'Exchange disconnected');
     }
+
+    clearCache() {
+        super.clearCache();
+        this.assetCtxs = {};
+        this.mids = {};
+        this.books = {};
+    }
 }
 
-module.exports = HyperliquidExchange;
\ No newline at end of file
+module.exports = HyperliquidExchange;
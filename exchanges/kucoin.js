@@ -0,0 +1,417 @@
+const axios = require('axios');
+const WebSocket = require('ws');
+const { getProxyAgent } = require('../utils/proxy');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const BaseExchange = require('./base');
+const { normalizeLevels } = require('../utils/orderbook');
+
+// KuCoin 合约使用 XBT 表示 BTC
+const BASE_ALIASES = { XBT: 'BTC' };
+
+class KucoinExchange extends BaseExchange {
+    constructor() {
+        super('kucoin', 'KuCoin');
+        this.proxyAgent = getProxyAgent();
+        this.baseUrl = 'https://api-futures.kucoin.com';
+        this.requestTimeout = config.exchanges.kucoin?.timeout || 10000;
+
+        this.markets = {};       // 'XBTUSDTM' -> { id, symbol, base, quote, multiplier }
+
+        // WebSocket 状态（连接前需先通过 bullet-public 换取 token 与服务器地址）
+        this.ws = null;
+        this.isConnected = false;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 5;
+        this.reconnectDelay = 5000;
+        this.pingInterval = null;
+        this.pingIntervalMs = 18000; // 以 bullet 返回的 pingInterval 为准
+        this.reconnectTimer = null;
+        this.lastMessageTime = null;
+        this.requestId = 0;
+        // 每次连接或断开时递增；换取 token 期间被断开或发起了新连接时，旧的连接流程据此放弃
+        this.connectionGeneration = 0;
+    }
+
+    async initialize() {
+        try {
+            await this.loadMarkets();
+            await this.connectWebSocket(Object.keys(this.markets));
+            logger.exchangeInit('kucoin', true);
+        } catch (error) {
+            logger.exchangeInit('kucoin', false, error);
+            throw error;
+        }
+    }
+
+    // GET /api/v1/contracts/active：合约列表，同时带资金费率、结算周期与 24h 成交量
+    async requestContracts() {
+        const response = await axios.get(`${this.baseUrl}/api/v1/contracts/active`, {
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        const list = response.data?.data;
+        if (response.data?.code !== '200000' || !Array.isArray(list)) {
+            throw new Error(`Invalid contracts response from KuCoin (code=${response.data?.code}, msg=${response.data?.msg})`);
+        }
+        return list;
+    }
+
+    // 合约 id -> 统一符号：XBTUSDTM -> BTC/USDT:USDT
+    toUnifiedSymbol(contract) {
+        const base = BASE_ALIASES[contract.baseCurrency] || contract.baseCurrency;
+        return `${base}/${contract.quoteCurrency}:${contract.settleCurrency}`;
+    }
+
+    async loadMarkets() {
+        const contracts = await this.requestContracts();
+
+        this.markets = {};
+        for (const c of contracts) {
+            if (!c?.symbol || c.isInverse || c.status !== 'Open') continue;
+            if (c.quoteCurrency !== 'USDT' || c.settleCurrency !== 'USDT') continue;
+            // 只要永续（交割合约带到期时间）
+            if (c.expireDate) continue;
+
+            this.markets[c.symbol] = {
+                id: c.symbol,
+                symbol: this.toUnifiedSymbol(c),
+                base: BASE_ALIASES[c.baseCurrency] || c.baseCurrency,
+                quote: 'USDT',
+                multiplier: Number(c.multiplier) || 1
+            };
+        }
+
+        logger.exchangeInfo('kucoin', 'INIT', `Loaded ${Object.keys(this.markets).length} USDT perpetual contracts`);
+    }
+
+    // POST /api/v1/bullet-public：获取公共频道 token 与实例服务器（token 有效期 24h，每次连接重新申请）
+    async requestBulletToken() {
+        const response = await axios.post(`${this.baseUrl}/api/v1/bullet-public`, null, {
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        const data = response.data?.data;
+        const server = Array.isArray(data?.instanceServers) ? data.instanceServers[0] : null;
+        if (response.data?.code !== '200000' || !data?.token || !server?.endpoint) {
+            throw new Error(`Invalid bullet-public response from KuCoin (code=${response.data?.code})`);
+        }
+        return { token: data.token, endpoint: server.endpoint, pingInterval: Number(server.pingInterval) || null };
+    }
+
+    async connectWebSocket(contractIds) {
+        const generation = ++this.connectionGeneration;
+        try {
+            if (this.ws) {
+                this.ws.removeAllListeners();
+                this.ws.on('error', () => {});
+                this.ws.close();
+            }
+
+            const { token, endpoint, pingInterval } = await this.requestBulletToken();
+            if (generation !== this.connectionGeneration) return;
+            if (pingInterval) this.pingIntervalMs = pingInterval;
+
+            const connectId = `zifei-${Date.now()}`;
+            this.ws = new WebSocket(`${endpoint}?token=${token}&connectId=${connectId}`, {
+                agent: this.proxyAgent,
+                handshakeTimeout: 30000,
+                perMessageDeflate: false
+            });
+
+            const connectionTimeout = setTimeout(() => {
+                if (this.ws && this.ws.readyState === WebSocket.CONNECTING) {
+                    logger.websocket('kucoin', 'error', 'connection_timeout');
+                    this.ws.terminate();
+                }
+            }, 15000);
+
+            this.ws.on('open', () => {
+                clearTimeout(connectionTimeout);
+                this.lastMessageTime = Date.now();
+            });
+
+            this.ws.on('message', (raw) => {
+                try {
+                    this.lastMessageTime = Date.now();
+                    const msg = JSON.parse(raw.toString());
+
+                    switch (msg.type) {
+                        case 'welcome':
+                            // 收到 welcome 后连接才可用，再订阅
+                            this.isConnected = true;
+                            this.reconnectAttempts = 0;
+                            logger.websocket('kucoin', 'connected', 'WebSocket connected successfully');
+                            this.subscribeInBatches('/contractMarket/tickerV2', contractIds);
+                            this.subscribeInBatches('/contract/instrument', contractIds);
+                            this.setupPingPong();
+                            break;
+                        case 'message':
+                            this.handleMessage(msg);
+                            break;
+                        case 'error':
+                            logger.websocket('kucoin', 'error', `WS error: code=${msg.code}, msg=${msg.data}`);
+                            break;
+                        default:
+                            break; // ack / pong
+                    }
+                } catch (e) {
+                    logger.websocket('kucoin', 'error', `Message parse error: ${e.message}`);
+                }
+            });
+
+            this.ws.on('close', (code, reason) => {
+                this.isConnected = false;
+                this.clearPingPong();
+                logger.websocket('kucoin', 'disconnected', `Closed: ${code} ${reason || ''}`);
+                this.handleReconnect(() => this.connectWebSocket(contractIds));
+            });
+
+            this.ws.on('error', (err) => {
+                this.isConnected = false;
+                logger.websocket('kucoin', 'error', `WS error: ${err.code || ''} ${err.message}`);
+                // error 之后 ws 会触发 close，由 close 统一重连
+            });
+        } catch (err) {
+            if (generation !== this.connectionGeneration) return;
+            logger.websocket('kucoin', 'error', `Connect error: ${err.message}`);
+            this.handleReconnect(() => this.connectWebSocket(contractIds));
+        }
+    }
+
+    // KuCoin 单条 subscribe 最多 100 个合约，topic 形如 /contractMarket/tickerV2:XBTUSDTM,ETHUSDTM
+    subscribeInBatches(topicPrefix, contractIds) {
+        const batchSize = 100;
+        let batches = 0;
+        for (let i = 0; i < contractIds.length; i += batchSize) {
+            this.ws.send(JSON.stringify({
+                id: String(++this.requestId),
+                type: 'subscribe',
+                topic: `${topicPrefix}:${contractIds.slice(i, i + batchSize).join(',')}`,
+                privateChannel: false,
+                response: true
+            }));
+            batches++;
+        }
+        logger.websocket('kucoin', 'connected', `Subscribed to ${contractIds.length} ${topicPrefix} in ${batches} batches`);
+    }
+
+    handleMessage(msg) {
+        const contractId = msg.topic ? msg.topic.split(':')[1] : null;
+        const market = this.markets[contractId];
+        if (!market || !msg.data) return;
+
+        if (msg.subject === 'tickerV2') {
+            this.processTicker(market, msg.data);
+        } else if (msg.subject === 'funding.rate') {
+            this.processFundingRate(market, msg.data);
+        }
+    }
+
+    processTicker(market, data) {
+        const existing = this.tickersMap[market.symbol];
+        // tickerV2 的 ts 为纳秒
+        const ts = data.ts ? Math.floor(Number(data.ts) / 1e6) : Date.now();
+        const bid = data.bestBidPrice ? parseFloat(data.bestBidPrice) : null;
+        const ask = data.bestAskPrice ? parseFloat(data.bestAskPrice) : null;
+
+        this.tickersMap[market.symbol] = {
+            symbol: market.symbol,
+            timestamp: ts,
+            datetime: new Date(ts).toISOString(),
+            high: existing?.high ?? null,
+            low: existing?.low ?? null,
+            bid,
+            // 盘口数量单位为张，换算为币数量
+            bidVolume: data.bestBidSize != null ? Number(data.bestBidSize) * market.multiplier : null,
+            ask,
+            askVolume: data.bestAskSize != null ? Number(data.bestAskSize) * market.multiplier : null,
+            vwap: null,
+            open: null,
+            close: existing?.close ?? null,
+            last: existing?.last ?? null,
+            previousClose: null,
+            change: null,
+            percentage: null,
+            average: null,
+            // tickerV2 不含成交量，沿用合约列表刷新的 24h 成交量
+            baseVolume: existing?.baseVolume ?? null,
+            quoteVolume: existing?.quoteVolume ?? null,
+            info: data
+        };
+
+        if (config.logging.enableTickerLogs) {
+            logger.tickerInfo('kucoin', `Ticker ${market.id} -> ${market.symbol} bid=${bid} ask=${ask}`);
+        }
+    }
+
+    // /contract/instrument 推送的 funding.rate：实时更新当前周期费率
+    processFundingRate(market, data) {
+        const fundingRate = Number(data.fundingRate);
+        if (!Number.isFinite(fundingRate)) return;
+
+        const existing = this.fundingMap[market.symbol] || {};
+        const granularity = Number(data.granularity);
+        this.updateFunding(market.symbol, {
+            fundingRate,
+            fundingInterval: granularity > 0 ? granularity / 3600000 : (existing.fundingInterval || 8)
+        });
+    }
+
+    async fetchTickers() {
+        this.assertStreamFresh();
+        return this.tickersMap;
+    }
+
+    // 合约列表中的资金费率与下次结算时间作为基准；同时刷新 24h 成交量与最新价
+    async fetchFundingInfo() {
+        try {
+            logger.fundingInfo('kucoin', 'Starting funding rate fetch');
+
+            const contracts = await this.requestContracts();
+            const now = Date.now();
+            let successCount = 0;
+            let errorCount = 0;
+
+            for (const c of contracts) {
+                const market = this.markets[c?.symbol];
+                if (!market) continue;
+
+                const ticker = this.tickersMap[market.symbol];
+                if (ticker) {
+                    ticker.baseVolume = c.volumeOf24h != null ? Number(c.volumeOf24h) : ticker.baseVolume;
+                    ticker.quoteVolume = c.turnoverOf24h != null ? Number(c.turnoverOf24h) : ticker.quoteVolume;
+                    ticker.last = c.lastTradePrice != null ? Number(c.lastTradePrice) : ticker.last;
+                    ticker.close = ticker.last;
+                    ticker.high = c.highPrice != null ? Number(c.highPrice) : ticker.high;
+                    ticker.low = c.lowPrice != null ? Number(c.lowPrice) : ticker.low;
+                }
+
+                const fundingRate = Number(c.fundingFeeRate);
+                if (!Number.isFinite(fundingRate)) {
+                    errorCount++;
+                    continue;
+                }
+
+                // nextFundingRateTime 为距下次结算的剩余毫秒数；新版本另有绝对时间 nextFundingRateDateTime
+                const nextFundingTime = Number(c.nextFundingRateDateTime)
+                    || (c.nextFundingRateTime != null ? now + Number(c.nextFundingRateTime) : null);
+                const granularity = Number(c.fundingRateGranularity);
+
+                this.updateFunding(market.symbol, {
+                    fundingRate,
+                    fundingTime: nextFundingTime,
+                    fundingInterval: granularity > 0 ? granularity / 3600000 : 8
+                });
+                successCount++;
+
+                if (config.logging.enableDetailedFunding) {
+                    logger.fundingSuccess('kucoin', `${c.symbol} -> ${market.symbol}`, {
+                        fundingRate,
+                        nextFundingTime,
+                        granularity
+                    });
+                }
+            }
+
+            logger.fundingSummary('kucoin', 'Funding rate fetch completed', {
+                successCount,
+                errorCount,
+                totalSymbols: Object.keys(this.fundingMap).length,
+                totalReceived: contracts.length
+            });
+            return this.fundingMap;
+        } catch (error) {
+            logger.fundingError('kucoin', 'Error fetching funding rates', error);
+            throw error;
+        }
+    }
+
+    // level2/depth20 与 depth100 两档，数量为张数，按 multiplier 换算
+    async fetchOrderBook(symbol, limit = 20) {
+        const market = Object.values(this.markets).find(m => m.symbol === symbol);
+        if (!market) throw new Error(`KuCoin: unknown symbol ${symbol}`);
+        const response = await axios.get(`${this.baseUrl}/api/v1/level2/${limit <= 20 ? 'depth20' : 'depth100'}`, {
+            params: { symbol: market.id },
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        if (response.data?.code !== '200000') {
+            throw new Error(`KuCoin depth error: ${response.data?.msg || response.data?.code}`);
+        }
+        const data = response.data.data || {};
+        return {
+            bids: normalizeLevels(data.bids, 'bids', limit, market.multiplier),
+            asks: normalizeLevels(data.asks, 'asks', limit, market.multiplier),
+            timestamp: data.ts ? Math.floor(Number(data.ts) / 1e6) : Date.now()
+        };
+    }
+
+    // contract/funding-rates 需要 from/to（毫秒），timepoint 为结算时间
+    async fetchFundingHistory(symbol, since) {
+        const market = Object.values(this.markets).find(m => m.symbol === symbol);
+        if (!market) return [];
+
+        const response = await axios.get(`${this.baseUrl}/api/v1/contract/funding-rates`, {
+            params: { symbol: market.id, from: since, to: Date.now() },
+            httpsAgent: this.proxyAgent,
+            timeout: this.requestTimeout
+        });
+        if (response.data?.code !== '200000') {
+            throw new Error(`KuCoin funding-rates error: ${response.data?.msg || response.data?.code}`);
+        }
+        return (Array.isArray(response.data.data) ? response.data.data : [])
+            .map(item => ({ fundingTime: Number(item.timepoint), fundingRate: Number(item.fundingRate) }))
+            .sort((a, b) => a.fundingTime - b.fundingTime);
+    }
+
+    setupPingPong() {
+        this.clearPingPong();
+        // 按 bullet 返回的 pingInterval 发送应用层 ping，超时未发送会被服务端断开
+        this.pingInterval = setInterval(() => {
+            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                try {
+                    this.ws.send(JSON.stringify({ id: String(++this.requestId), type: 'ping' }));
+                } catch (_) {}
+            }
+        }, this.pingIntervalMs);
+    }
+
+    clearPingPong() {
+        if (this.pingInterval) {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+        }
+    }
+
+    handleReconnect(reconnectFn) {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            logger.websocket('kucoin', 'error', 'Max reconnect attempts reached');
+            return;
+        }
+        this.reconnectAttempts++;
+        this.totalReconnects = (this.totalReconnects || 0) + 1;
+        const delay = this.reconnectDelay * this.reconnectAttempts;
+        logger.websocket('kucoin', 'reconnecting', `Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => reconnectFn(), delay);
+    }
+
+    disconnect() {
+        this.connectionGeneration++;
+        this.clearPingPong();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.ws) {
+            // 移除监听器，避免 close/error 回调触发重连
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
+            this.ws.close(1000, 'Normal closure');
+            this.ws = null;
+        }
+        this.isConnected = false;
+    }
+}
+
+module.exports = KucoinExchange;
@@ -5,23 +5,33 @@ const logger = require('../utils/logger');
 const config = require('../config/config');
 // 引入 WebSocket
 const WebSocket = require('ws');
+const BaseExchange = require('./base');
+const { bookFromMaps, applyLevels } = require('../utils/orderbook');
 
-class OKXExchange {
+class OKXExchange extends BaseExchange {
     constructor() {
-        this.name = 'OKX';
+        super('okx', 'OKX');
         this.exchange = null;
-        this.fundingMap = {};
         this.proxyAgent = getProxyAgent();
 
         // WebSocket 状态与缓存
         this.ws = null;
         this.isConnected = false;
-        this.tickersMap = {};
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 5000;
         this.pingInterval = null;
+        this.reconnectTimer = null;
         this.lastMessageTime = null;
+
+        // 资金费率：funding-rate 频道实时推送，REST 仅做周期对账
+        this.lastFundingMessageTime = null;
+        this.lastFundingReconcile = null;
+
+        // 按需订阅的 books 频道（400 档，首条 snapshot 之后为增量 update）
+        this.depthSymbols = new Set();
+        this.books = {};          // 统一符号 -> { bids: Map<price, size>, asks: Map<price, size>, timestamp }
+        this.wsBookDepth = 400;
     }
     
     async initialize() {
@@ -70,6 +80,13 @@ class OKXExchange {
                 .filter(m => m.swap && m.quote === 'USDT')
                 .map(m => m.id);
 
+            if (!this.needsFundingReconcile()) {
+                if (config.logging.enableDetailedFunding) {
+                    logger.fundingInfo('okx', 'Funding rates streaming via WebSocket, skipping REST reconcile');
+                }
+                return;
+            }
+
             if (swapSymbols.length === 0) {
                 logger.fundingWarn('No USDT perpetual symbols found, skipping funding rate update', {
                     exchange: 'okx'
@@ -123,15 +140,8 @@ class OKXExchange {
                             return;
                         }
 
-                        const fundingTime = parseInt(item.fundingTime);
-                        const nextFundingTime = parseInt(item.nextFundingTime);
-                        const fundingInterval = Math.floor((nextFundingTime - fundingTime) / 1000 / 60 / 60);
-
-                        this.fundingMap[symbol] = {
-                            fundingRate: parseFloat(item.fundingRate),
-                            fundingTime: fundingTime,
-                            fundingInterval: fundingInterval
-                        };
+                        this.applyFundingItem(symbol, item);
+                        const { fundingTime, fundingInterval } = this.fundingMap[symbol];
 
                         successCount++;
 
@@ -166,6 +176,7 @@ class OKXExchange {
                 await this.sleep(BATCH_PAUSE_MS);
             }
 
+            this.lastFundingReconcile = Date.now();
             logger.fundingSummary('okx', 'Funding rate fetch completed', {
                 successCount,
                 errorCount,
@@ -178,10 +189,6 @@ class OKXExchange {
         }
     }
     
-    getFundingMap() {
-        return this.fundingMap;
-    }
-
     async connectWebSocket(instIds) {
         try {
             if (this.ws) {
@@ -215,8 +222,13 @@ class OKXExchange {
                 this.lastMessageTime = Date.now();
                 logger.websocket('okx', 'connected', 'WebSocket connected successfully');
 
-                // 批量订阅 tickers（OKX 单次最多 100 个 args）
+                // 批量订阅 tickers 与 funding-rate（OKX 单次最多 100 个 args）
                 await this.subscribeTickersInBatches(instIds);
+                this.subscribeChannelInBatches('funding-rate', instIds);
+                // 重连后恢复深度订阅
+                if (this.depthSymbols.size > 0) {
+                    this.subscribeChannelInBatches('books', [...this.depthSymbols].map(symbol => this.exchange.market(symbol).id));
+                }
 
                 // 心跳：每 30s 发送 ping 帧
                 this.setupPingPong();
@@ -241,6 +253,16 @@ class OKXExchange {
                         this.processTickerData(msg.data);
                         return;
                     }
+                    // 资金费率推送（约 30~90s 一次）
+                    if (msg.arg && msg.arg.channel === 'funding-rate' && Array.isArray(msg.data)) {
+                        this.processFundingData(msg.data);
+                        return;
+                    }
+                    // 深度推送
+                    if (msg.arg && msg.arg.channel === 'books' && Array.isArray(msg.data)) {
+                        this.processBookData(msg.arg.instId, msg.action, msg.data);
+                        return;
+                    }
                 } catch (e) {
                     logger.websocket('okx', 'error', `Message parse error: ${e.message}`);
                 }
@@ -249,6 +271,7 @@ class OKXExchange {
             this.ws.on('close', (code, reason) => {
                 this.isConnected = false;
                 this.clearPingPong();
+                this.books = {}; // 断线期间深度不再更新
                 logger.websocket('okx', 'disconnected', `Closed: ${code} ${reason}`);
                 this.handleReconnect(() => this.connectWebSocket(instIds));
             });
@@ -278,6 +301,59 @@ class OKXExchange {
         logger.websocket('okx', 'connected', `Subscribed to ${instIds.length} tickers in ${batches} batches`);
     }
 
+    subscribeChannelInBatches(channel, instIds) {
+        const batchSize = 100;
+        let batches = 0;
+        for (let i = 0; i < instIds.length; i += batchSize) {
+            const args = instIds.slice(i, i + batchSize).map(instId => ({ channel, instId }));
+            this.ws.send(JSON.stringify({ op: 'subscribe', args }));
+            batches++;
+        }
+        logger.websocket('okx', 'connected', `Subscribed to ${instIds.length} ${channel} in ${batches} batches`);
+    }
+
+    // REST 与 WS 的资金费率字段一致：fundingTime 为本期结算时间，nextFundingTime 为再下一期
+    // OKX 不直接返回结算周期，按相邻两期结算时间之差推算；缺失时沿用已有值
+    applyFundingItem(symbol, item) {
+        const fundingTime = parseInt(item.fundingTime);
+        const nextFundingTime = parseInt(item.nextFundingTime);
+        const derivedInterval = Math.round((nextFundingTime - fundingTime) / 1000 / 60 / 60);
+        const fundingInterval = derivedInterval > 0
+            ? derivedInterval
+            : (this.fundingMap[symbol]?.fundingInterval || 8);
+
+        const fundingRate = parseFloat(item.fundingRate);
+        const nextFundingRate = parseFloat(item.nextFundingRate);
+        // settFundingRate 为上一期结算费率；settState 为 processing 时结算尚未完成，交给 updateFunding 按期次推断
+        const settledRate = parseFloat(item.settFundingRate);
+        const entry = {
+            fundingRate,
+            predictedFundingRate: fundingRate,
+            fundingTime: fundingTime,
+            fundingInterval: fundingInterval,
+            nextFundingRate: Number.isFinite(nextFundingRate) ? nextFundingRate : null
+        };
+        if (item.settState === 'settled' && Number.isFinite(settledRate)) {
+            entry.lastSettledFundingRate = settledRate;
+        }
+        this.updateFunding(symbol, entry);
+    }
+
+    processFundingData(items) {
+        let updated = 0;
+        for (const item of items) {
+            if (!item?.instId || item.fundingRate === undefined) continue;
+            const symbol = this.exchange ? this.exchange.safeSymbol(item.instId) : item.instId;
+            this.applyFundingItem(symbol, item);
+            updated++;
+        }
+        this.lastFundingMessageTime = Date.now();
+
+        if (config.logging.enableDetailedFunding) {
+            logger.fundingSuccess('okx', `Updated ${updated} funding rates via WebSocket`);
+        }
+    }
+
     processTickerData(items) {
         let processed = 0;
         for (const item of items) {
@@ -303,8 +379,9 @@ class OKXExchange {
                     change: null,
                     percentage: null,
                     average: null,
-                    baseVolume: item.vol24h ? parseFloat(item.vol24h) : null,
-                    quoteVolume: item.volCcy24h ? parseFloat(item.volCcy24h) : null,
+                    // 永续合约的 vol24h 为张数，volCcy24h 为币数量，成交额按最新价折算
+                    baseVolume: item.volCcy24h ? parseFloat(item.volCcy24h) : null,
+                    quoteVolume: item.volCcy24h && item.last ? parseFloat(item.volCcy24h) * parseFloat(item.last) : null,
                     info: item
                 };
                 processed++;
@@ -343,7 +420,7 @@ class OKXExchange {
         this.reconnectAttempts++;
         const delay = this.reconnectDelay * this.reconnectAttempts;
         logger.websocket('okx', 'reconnecting', `Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
-        setTimeout(() => reconnectFn(), delay);
+        this.reconnectTimer = setTimeout(() => reconnectFn(), delay);
     }
 
     // 用 WS 缓存直接返回 tickers（与 Binance 一致）
@@ -403,13 +480,86 @@ class OKXExchange {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    // ccxt 统一接口 fetchFundingRateHistory，返回按时间升序的 { timestamp, fundingRate }
+    async fetchFundingHistory(symbol, since) {
+        if (!this.exchange) return [];
+        const history = await this.exchange.fetchFundingRateHistory(symbol, since, 100);
+        return history.map(item => ({
+            fundingTime: item.timestamp,
+            fundingRate: Number(item.fundingRate)
+        }));
+    }
+
+    // 档位 [price, 张数, 0, 订单数]，张数按 contractSize 换算为币数量
+    processBookData(instId, action, items) {
+        const symbol = this.exchange ? this.exchange.safeSymbol(instId) : instId;
+        if (!this.depthSymbols.has(symbol)) return;
+        const contractSize = this.exchange.markets[symbol]?.contractSize || 1;
+
+        for (const item of items) {
+            if (action === 'snapshot' || !this.books[symbol]) {
+                this.books[symbol] = { bids: new Map(), asks: new Map(), timestamp: null };
+            }
+            const book = this.books[symbol];
+            applyLevels(book.bids, item.bids, contractSize);
+            applyLevels(book.asks, item.asks, contractSize);
+            book.timestamp = item.ts ? parseInt(item.ts) : Date.now();
+        }
+    }
+
+    watchOrderBook(symbol) {
+        const market = this.exchange?.markets?.[symbol];
+        if (!market) return false;
+        if (!this.depthSymbols.has(symbol)) {
+            this.depthSymbols.add(symbol);
+            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                this.ws.send(JSON.stringify({ op: 'subscribe', args: [{ channel: 'books', instId: market.id }] }));
+            }
+        }
+        return true;
+    }
+
+    unwatchOrderBook(symbol) {
+        if (!this.depthSymbols.delete(symbol)) return;
+        const market = this.exchange?.markets?.[symbol];
+        if (market && this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ op: 'unsubscribe', args: [{ channel: 'books', instId: market.id }] }));
+        }
+        delete this.books[symbol];
+    }
+
+    getOrderBook(symbol, limit = this.wsBookDepth) {
+        if (!this.isConnected) return null;
+        return bookFromMaps(this.books[symbol], limit);
+    }
+
+    // ccxt 返回的数量为张数，按 contractSize 换算
+    async fetchOrderBook(symbol, limit = 20) {
+        const book = await this.exchange.fetchOrderBook(symbol, Math.min(limit, 400));
+        const contractSize = this.exchange.markets[symbol]?.contractSize || 1;
+        const toLevels = (levels) => levels.slice(0, limit).map(([price, amount]) => [price, amount * contractSize]);
+        return {
+            bids: toLevels(book.bids),
+            asks: toLevels(book.asks),
+            timestamp: book.timestamp || Date.now()
+        };
+    }
+
     disconnect() {
         this.clearPingPong();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
         if (this.ws) {
+            // 移除监听器，避免 close/error 回调触发重连
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
             this.ws.close(1000, 'Normal closure');
             this.ws = null;
         }
         this.isConnected = false;
+        this.books = {};
     }
 }
 
@@ -0,0 +1,106 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const OKXExchange = require('./okx');
+const BybitExchange = require('./bybit');
+const BinanceExchange = require('./binance');
+const BackpackExchange = require('./backpack');
+const EdgexExchange = require('./edgex');
+const HyperliquidExchange = require('./hyperliquid');
+const BitgetExchange = require('./bitget');
+const GateExchange = require('./gate');
+const KucoinExchange = require('./kucoin');
+const DydxExchange = require('./dydx');
+const CcxtExchange = require('./ccxt');
+
+// 内置适配器；顺序即聚合结果与汇总日志中的展示顺序
+const BUILTIN_ADAPTERS = [
+    OKXExchange,
+    BybitExchange,
+    BinanceExchange,
+    BackpackExchange,
+    EdgexExchange,
+    HyperliquidExchange,
+    BitgetExchange,
+    GateExchange,
+    KucoinExchange,
+    DydxExchange
+];
+
+// 交易所注册表：index.js 的主循环、定时任务、统计与日志都遍历这里，新增交易所只需注册一次
+class ExchangeRegistry {
+    constructor() {
+        this.adapters = new Map(); // id -> adapter 实例
+        this.enabledIds = new Set(); // 当前启用（参与轮询与聚合）的交易所
+    }
+
+    register(adapter, { enabled = true } = {}) {
+        if (!adapter || !adapter.id) {
+            throw new Error('Exchange adapter must have an id');
+        }
+        if (this.adapters.has(adapter.id)) {
+            throw new Error(`Exchange already registered: ${adapter.id}`);
+        }
+        this.adapters.set(adapter.id, adapter);
+        this.setEnabled(adapter.id, enabled);
+        return adapter;
+    }
+
+    get(id) {
+        return this.adapters.get(String(id || '').toLowerCase()) || null;
+    }
+
+    ids() {
+        return Array.from(this.adapters.keys());
+    }
+
+    list() {
+        return Array.from(this.adapters.values());
+    }
+
+    isEnabled(id) {
+        return this.enabledIds.has(id);
+    }
+
+    setEnabled(id, enabled) {
+        if (enabled) {
+            this.enabledIds.add(id);
+        } else {
+            this.enabledIds.delete(id);
+        }
+    }
+
+    listEnabled() {
+        return this.list().filter(adapter => this.enabledIds.has(adapter.id));
+    }
+}
+
+function createDefaultRegistry() {
+    const registry = new ExchangeRegistry();
+    for (const Adapter of BUILTIN_ADAPTERS) {
+        const adapter = new Adapter();
+        // 未配置或 enabled !== false 的交易所默认启用
+        registry.register(adapter, { enabled: config.exchanges[adapter.id]?.enabled !== false });
+    }
+
+    for (const [id, options] of Object.entries(config.exchanges)) {
+        if (!options || registry.get(id)) continue;
+        // 单个配置项错误（如 ccxtId 拼写错误）只跳过该交易所，不影响服务启动
+        try {
+            if (options.binanceCompatible) {
+                // Binance 合约兼容接口的交易所（如 Aster）复用 BinanceExchange，仅替换地址与名称
+                registry.register(new BinanceExchange({ ...options, id }), { enabled: options.enabled !== false });
+            } else if (options.ccxtId) {
+                // 配置了 ccxtId 的交易所使用通用 ccxt 适配器，无需单独编写模块
+                registry.register(new CcxtExchange(id, options), { enabled: options.enabled !== false });
+            }
+        } catch (error) {
+            logger.exchangeError(id, 'INIT', 'Invalid exchange configuration, skipping', error);
+        }
+    }
+    return registry;
+}
+
+module.exports = {
+    ExchangeRegistry,
+    createDefaultRegistry
+};
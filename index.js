@@ -5,6 +5,9 @@ const axios = require('axios');
 const { HttpsProxyAgent } = require('https-proxy-agent');
 const logger = require('./utils/logger');
 const config = require('./config/config');
+const { normalizeFundingRate } = require('./utils/funding');
+const { priceSpreadPct } = require('./utils/spread');
+const { roundTripFeePct } = require('./utils/fees');
 
 // 确保这里的端口是正确的
 const proxyAgent = new HttpsProxyAgent('http://127.0.0.1:1080'); 
@@ -38,7 +41,17 @@ app.use(cors(corsOptions));
 
 // 存储最新的交易机会
 let latestOpportunities = [];
+// 每个币种的交易所两两组合（pair 如 'BINANCE-OKX'，标签按字母序）
+let latestPairOpportunities = [];
 let lastUpdateTime = null;
+// 各交易所最近一次成功获取的 tickers：id -> { tickers, at }
+const lastGoodTickers = {};
+// 各交易所本轮数据状态：label -> { degraded, dataAgeMs, lastSuccess, error }
+let latestExchangeStatus = {};
+// 最近一次完成的可成交价差：symbol -> execution
+const latestExecution = new Map();
+// 进行中的可成交价差后台刷新（Promise），完成后置空
+let executionRefresh = null;
 // 创建交易对支持映射
 let symbolMap = {};
 
@@ -64,45 +77,65 @@ function filterOpportunity(opportunity, okxTickers, bybitTickers, binanceTickers
     return true;
 }
 
-// 交易所模块导入
-const BinanceExchange = require('./exchanges/binance');
-const OKXExchange = require('./exchanges/okx');
-const BybitExchange = require('./exchanges/bybit');
-const BackpackExchange = require('./exchanges/backpack');
-const EdgexExchange = require('./exchanges/edgex'); // 新增
-const HyperliquidExchange = require('./exchanges/hyperliquid'); // 新增
-
-// 初始化交易所实例
-const binanceExchange = new BinanceExchange();
-const okxExchange = new OKXExchange();
-const bybitExchange = new BybitExchange();
-const backpackExchange = new BackpackExchange();
-const edgexExchange = new EdgexExchange(); // 新增
-const hyperliquidExchange = new HyperliquidExchange(); // 新增
-
-// 增加：聚合互斥锁，防止主循环重入
-// 在全局变量区域添加统计计数器
+// 交易所注册表：所有适配器在此集中注册，主循环/定时任务/统计均遍历注册表
+const { createDefaultRegistry } = require('./exchanges/registry');
+const exchangeRegistry = createDefaultRegistry();
+
+// 资金费率结算历史（回填 + 持续记录），数据保存在 config.history.dataDir
+const FundingHistory = require('./services/fundingHistory');
+const fundingHistory = new FundingHistory();
+
+// 聚合快照时序存储：每轮聚合结果按配置的分辨率落盘
+const SnapshotStore = require('./services/snapshotStore');
+const snapshotStore = new SnapshotStore();
+const { parseTimeframe, buildSpreadCandles } = require('./services/spreadHistory');
+
+// 订单簿深度：WS 按需订阅 + REST 快照回退
+const OrderBookService = require('./services/orderBook');
+const orderBookService = new OrderBookService();
+const { attachExecution, evaluateExecution } = require('./services/execution');
+const { estimateFundingReturn } = require('./services/fundingEstimator');
+const { SORT_FIELDS, buildOpportunity, buildPairOpportunities, filterOpportunities } = require('./services/opportunities');
+
+// 按注册表生成每个交易所的统计计数器
+const createCounter = () => ({ success: 0, errors: 0, skipped: 0, lastUpdate: null });
 let statsCounters = {
-    tickers: {
-        okx: { success: 0, errors: 0, skipped: 0, lastUpdate: null },
-        bybit: { success: 0, errors: 0, skipped: 0, lastUpdate: null },
-        binance: { success: 0, errors: 0, skipped: 0, lastUpdate: null },
-        backpack: { success: 0, errors: 0, skipped: 0, lastUpdate: null },
-        edgex: { success: 0, errors: 0, skipped: 0, lastUpdate: null },
-        hyperliquid: { success: 0, errors: 0, skipped: 0, lastUpdate: null } // 新增
-    },
-    funding: {
-        okx: { success: 0, errors: 0, skipped: 0, lastUpdate: null },
-        bybit: { success: 0, errors: 0, skipped: 0, lastUpdate: null },
-        binance: { success: 0, errors: 0, skipped: 0, lastUpdate: null },
-        backpack: { success: 0, errors: 0, skipped: 0, lastUpdate: null },
-        edgex: { success: 0, errors: 0, skipped: 0, lastUpdate: null },
-        hyperliquid: { success: 0, errors: 0, skipped: 0, lastUpdate: null } // 新增
-    }
+    tickers: Object.fromEntries(exchangeRegistry.ids().map(id => [id, createCounter()])),
+    funding: Object.fromEntries(exchangeRegistry.ids().map(id => [id, createCounter()]))
 };
 // 新增：15分钟聚合快照（用于计算区间增量）
 let prevSummarySnapshot = null;
 
+// 为两腿仍是做多/做空交易所的机会填入最近一次的可成交价差
+function applyExecution(opportunities) {
+    for (const opp of opportunities) {
+        const execution = latestExecution.get(opp.symbol);
+        if (execution
+            && execution.longExchange === opp.tradingAdvice.longExchange
+            && execution.shortExchange === opp.tradingAdvice.shortExchange) {
+            opp.execution = execution;
+        }
+    }
+}
+
+// 后台按订单簿计算可成交价差；无 WS 盘口的交易所需走 REST，上一次未完成时跳过，避免请求堆积与拖慢聚合
+function refreshExecution(opportunities, exchangesByLabel) {
+    if (executionRefresh) return;
+    executionRefresh = attachExecution(opportunities, exchangesByLabel, orderBookService, config.arbitrage.execution)
+        .then(() => {
+            latestExecution.clear();
+            for (const opp of opportunities) {
+                if (opp.execution) latestExecution.set(opp.symbol, opp.execution);
+            }
+            // 刷新期间已发布新一轮结果时，补填到最新的机会上
+            if (latestOpportunities !== opportunities) applyExecution(latestOpportunities);
+        })
+        .catch(error => logger.error('Executable spread refresh failed', error))
+        .finally(() => {
+            executionRefresh = null;
+        });
+}
+
 // 在 main() 函数中添加价格统计
 async function main() {
     const startedAt = Date.now();
@@ -110,88 +143,58 @@ async function main() {
     try {
         logger.info('Starting data aggregation', { category: 'dataAggregation' });
         
-        // 获取所有交易所的tickers数据
-        const [okxTickers, bybitTickers, binanceTickers, backpackTickers, edgexTickers, hyperliquidTickers] = await Promise.all([
-            okxExchange.fetchTickers().then(result => {
-                statsCounters.tickers.okx.success++;
-                statsCounters.tickers.okx.lastUpdate = new Date();
-                return result;
-            }).catch(err => {
-                statsCounters.tickers.okx.errors++;
-                throw err;
-            }),
-            bybitExchange.fetchTickers().then(result => {
-                statsCounters.tickers.bybit.success++;
-                statsCounters.tickers.bybit.lastUpdate = new Date();
-                return result;
-            }).catch(err => {
-                statsCounters.tickers.bybit.errors++;
-                throw err;
-            }),
-            binanceExchange.fetchTickers().then(result => {
-                statsCounters.tickers.binance.success++;
-                statsCounters.tickers.binance.lastUpdate = new Date();
-                return result;
-            }).catch(err => {
-                statsCounters.tickers.binance.errors++;
-                throw err;
-            }),
-            backpackExchange.fetchTickers().then(result => {
-                statsCounters.tickers.backpack.success++;
-                statsCounters.tickers.backpack.lastUpdate = new Date();
-                return result;
-            }).catch(err => {
-                statsCounters.tickers.backpack.errors++;
-                throw err;
-            }),
-            edgexExchange.fetchTickers().then(result => {
-                statsCounters.tickers.edgex.success++;
-                statsCounters.tickers.edgex.lastUpdate = new Date();
-                return result;
-            }).catch(err => {
-                statsCounters.tickers.edgex.errors++;
-                throw err;
-            }), // 新增
-            hyperliquidExchange.fetchTickers().then(result => {
-                statsCounters.tickers.hyperliquid.success++;
-                statsCounters.tickers.hyperliquid.lastUpdate = new Date();
-                return result;
-            }).catch(err => {
-                statsCounters.tickers.hyperliquid.errors++;
-                throw err;
-            }) // 新增
-        ]);
-        
-        // 获取资金费率数据
-        const okxFundingMap = okxExchange.getFundingMap();
-        const bybitFundingMap = bybitExchange.getFundingMap();
-        const binanceFundingMap = binanceExchange.getFundingMap();
-        const backpackFundingMap = backpackExchange.getFundingMap();
-        const edgexFundingMap = edgexExchange.getFundingMap(); // 新增
-        const hyperliquidFundingMap = hyperliquidExchange.getFundingMap(); // 新增
-        
+        // 仅聚合已启用且初始化完成的交易所（可在运行时通过管理接口切换）
+        const exchanges = exchangeRegistry.listEnabled().filter(isReady);
+
+        // 获取所有交易所的tickers数据（id -> tickers）
+        // 各交易所独立结算：单个交易所失败时沿用其最近一次成功的数据并标记 degraded，不影响其他交易所
+        const results = await Promise.allSettled(exchanges.map(ex => ex.fetchTickers()));
+        const fetchedAt = Date.now();
+        const tickersById = {};
+        const exchangeStatus = {};
+
+        exchanges.forEach((ex, i) => {
+            const result = results[i];
+            const degraded = result.status === 'rejected';
+            if (degraded) {
+                statsCounters.tickers[ex.id].errors++;
+                logger.exchangeWarn(ex.id, 'TICKER', 'fetchTickers failed, falling back to last good data', {
+                    error: result.reason?.message
+                });
+            } else {
+                statsCounters.tickers[ex.id].success++;
+                statsCounters.tickers[ex.id].lastUpdate = new Date(fetchedAt);
+                lastGoodTickers[ex.id] = { tickers: result.value || {}, at: fetchedAt };
+            }
+
+            const lastGood = lastGoodTickers[ex.id];
+            const dataAgeMs = lastGood ? fetchedAt - lastGood.at : null;
+            // 过旧的兜底数据不再参与聚合
+            const usable = lastGood && dataAgeMs <= config.arbitrage.maxDegradedAgeMs;
+            tickersById[ex.id] = usable ? lastGood.tickers : {};
+            exchangeStatus[ex.label] = {
+                degraded,
+                dataAgeMs,
+                lastSuccess: lastGood ? new Date(lastGood.at).toISOString() : null,
+                error: degraded ? (result.reason?.message || String(result.reason)) : null
+            };
+        });
+
+        // 各交易所 ticker 数量，用于日志
+        const countTickers = () => Object.fromEntries(
+            exchanges.map(ex => [ex.id, Object.keys(tickersById[ex.id] || {}).length])
+        );
+
         // 调试输出 - 仅在启用详细日志时显示
         if (config.logging.enableDetailedLogs) {
-            const glmrSymbols = {
-                binance: Object.keys(binanceTickers).filter(s => s.includes('GLMR')),
-                okx: Object.keys(okxTickers).filter(s => s.includes('GLMR')),
-                bybit: Object.keys(bybitTickers).filter(s => s.includes('GLMR')),
-                edgex: Object.keys(edgexTickers).filter(s => s.includes('GLMR')),
-                backpack: Object.keys(backpackTickers).filter(s => s.includes('GLMR')),
-                hyperliquid: Object.keys(hyperliquidTickers).filter(s => s.includes('GLMR')) // 新增
-            };
-            
+            const glmrSymbols = Object.fromEntries(
+                exchanges.map(ex => [ex.id, Object.keys(tickersById[ex.id]).filter(s => s.includes('GLMR'))])
+            );
+
             logger.debug('GLMR symbol analysis', {
                 category: 'symbolAnalysis',
                 glmrSymbols,
-                totalSymbols: {
-                    binance: Object.keys(binanceTickers).length,
-                    okx: Object.keys(okxTickers).length,
-                    bybit: Object.keys(bybitTickers).length,
-                    backpack: Object.keys(backpackTickers).length,
-                    edgex: Object.keys(edgexTickers).length,
-                    hyperliquid: Object.keys(hyperliquidTickers).length // 新增
-                }
+                totalSymbols: countTickers()
             });
         }
         
@@ -209,130 +212,63 @@ async function main() {
             return Number.isFinite(last) && last > 0 ? last : null;
         };
         
-        // OKX
-        for (const [symbol, ticker] of Object.entries(okxTickers)) {
-            const price = getMidPrice(ticker);
-            if (!Number.isFinite(price) || price <= 0) continue;
-            const key = symbol.split('/')[0]; // 按币种聚合，避免 USDT/USDC 分裂
-            if (!tokenData[key]) tokenData[key] = { symbol: key, exchanges: {} };
-            tokenData[key].exchanges.OKX = {
-                price,
-                type: '合约',
-                fundingRate: okxFundingMap[symbol]?.fundingRate || 0,
-                nextFundingTime: okxFundingMap[symbol]?.fundingTime || 0,
-                volume: ticker.baseVolume || 0
-            };
-        }
-
-        // BYBIT
-        for (const [symbol, ticker] of Object.entries(bybitTickers)) {
-            const price = getMidPrice(ticker);
-            if (!Number.isFinite(price) || price <= 0) continue;
-            const key = symbol.split('/')[0];
-            if (!tokenData[key]) tokenData[key] = { symbol: key, exchanges: {} };
-            tokenData[key].exchanges.BYBIT = {
-                price,
-                type: '合约',
-                fundingRate: bybitFundingMap[symbol]?.fundingRate || 0,
-                nextFundingTime: bybitFundingMap[symbol]?.fundingTime || 0,
-                volume: ticker.baseVolume || 0
-            };
-        }
-
-        // BINANCE
-        for (const [symbol, ticker] of Object.entries(binanceTickers)) {
-            const price = getMidPrice(ticker);
-            if (!Number.isFinite(price) || price <= 0) continue;
-            const key = symbol.split('/')[0];
-            if (!tokenData[key]) tokenData[key] = { symbol: key, exchanges: {} };
-            tokenData[key].exchanges.BINANCE = {
-                price,
-                type: '合约',
-                fundingRate: binanceFundingMap[symbol]?.fundingRate || 0,
-                nextFundingTime: binanceFundingMap[symbol]?.fundingTime || 0,
-                volume: ticker.baseVolume || 0
-            };
-        }
-
-        // BACKPACK
-        for (const [symbol, ticker] of Object.entries(backpackTickers)) {
-            const price = getMidPrice(ticker);
-            if (!Number.isFinite(price) || price <= 0) continue;
-            const key = symbol.split('/')[0];
-            if (!tokenData[key]) tokenData[key] = { symbol: key, exchanges: {} };
-            tokenData[key].exchanges.BACKPACK = {
-                price,
-                type: '合约',
-                fundingRate: backpackFundingMap[symbol]?.fundingRate || 0,
-                nextFundingTime: backpackFundingMap[symbol]?.fundingTime || 0,
-                volume: ticker.baseVolume || 0
-            };
+        for (const ex of exchanges) {
+            const fundingMap = ex.getFundingMap();
+            for (const [symbol, ticker] of Object.entries(tickersById[ex.id])) {
+                const price = getMidPrice(ticker);
+                if (!Number.isFinite(price) || price <= 0) continue;
+                const key = symbol.split('/')[0]; // 按币种聚合，避免 USDT/USDC 分裂
+                if (!tokenData[key]) tokenData[key] = { symbol: key, exchanges: {} };
+                const funding = fundingMap[symbol];
+                const fundingRate = funding?.fundingRate || 0;
+                const fundingInterval = funding?.fundingInterval || null;
+                tokenData[key].exchanges[ex.label] = {
+                    symbol,
+                    price,
+                    type: '合约',
+                    fundingRate,
+                    fundingInterval,
+                    // 按结算周期换算后的费率，跨交易所比较应使用这些字段而非原始 fundingRate
+                    ...normalizeFundingRate(fundingRate, fundingInterval),
+                    nextFundingTime: funding?.fundingTime || 0,
+                    // 本期预测费率（下次结算时收取）与上一期已结算费率；交易所未提供时为 null
+                    predictedFundingRate: funding?.predictedFundingRate ?? null,
+                    lastSettledFundingRate: funding?.lastSettledFundingRate ?? null,
+                    volume: ticker.baseVolume || 0,
+                    // 24h 成交额（USDT/USD），各适配器已统一口径，跨交易所比较成交量应使用该字段
+                    quoteVolume: Number.isFinite(ticker.quoteVolume) ? ticker.quoteVolume : null,
+                    degraded: exchangeStatus[ex.label].degraded,
+                    dataAgeMs: exchangeStatus[ex.label].dataAgeMs
+                };
+            }
         }
 
-        // EDGEX
-        for (const [symbol, ticker] of Object.entries(edgexTickers)) {
-            const price = getMidPrice(ticker);
-            if (!Number.isFinite(price) || price <= 0) continue;
-            const key = symbol.split('/')[0];
-            if (!tokenData[key]) tokenData[key] = { symbol: key, exchanges: {} };
-            tokenData[key].exchanges.EDGEX = {
-                price,
-                type: '合约',
-                fundingRate: edgexFundingMap[symbol]?.fundingRate || 0,
-                nextFundingTime: edgexFundingMap[symbol]?.fundingTime || 0,
-                volume: ticker.baseVolume || 0
-            };
-        }
-
-        // HYPERLIQUID - 新增
-        for (const [symbol, ticker] of Object.entries(hyperliquidTickers)) {
-            const price = getMidPrice(ticker);
-            if (!Number.isFinite(price) || price <= 0) continue;
-            const key = symbol.split('/')[0];
-            if (!tokenData[key]) tokenData[key] = { symbol: key, exchanges: {} };
-            tokenData[key].exchanges.HYPERLIQUID = {
-                price,
-                type: '合约',
-                fundingRate: hyperliquidFundingMap[symbol]?.fundingRate || 0,
-                nextFundingTime: hyperliquidFundingMap[symbol]?.fundingTime || 0,
-                volume: ticker.baseVolume || 0
-            };
-        }
+        const exchangesByLabel = new Map(exchanges.map(ex => [ex.label, ex]));
+        const idOf = (label) => exchangesByLabel.get(label).id;
 
         // 将聚合结果写入 latestOpportunities，供前端 /api/opportunities 使用
         const aggregatedList = Object.values(tokenData)
-            .map(token => {
-                const entries = Object.entries(token.exchanges || {});
-                if (entries.length < 2) return null; // 至少两个交易所有对比价值
-
-                // 价格端建议（最低价做多，最高价做空）
-                const priceEntries = entries.filter(([, d]) => d.price && d.price > 0);
-                if (priceEntries.length < 2) return null;
-
-                const minPriceEntry = priceEntries.reduce((a, b) => (a[1].price <= b[1].price ? a : b));
-                const maxPriceEntry = priceEntries.reduce((a, b) => (a[1].price >= b[1].price ? a : b));
-
-                // 资金费率端建议（最低费率做多，最高费率做空）
-                const fundingEntries = entries.filter(([, d]) => typeof d.fundingRate === 'number');
-                const minFundingEntry = fundingEntries.length ? fundingEntries.reduce((a, b) => (a[1].fundingRate <= b[1].fundingRate ? a : b)) : null;
-                const maxFundingEntry = fundingEntries.length ? fundingEntries.reduce((a, b) => (a[1].fundingRate >= b[1].fundingRate ? a : b)) : null;
-
-                return {
-                    symbol: token.symbol, // 现在是币种名，如 BTC
-                    exchanges: token.exchanges,
-                    tradingAdvice: {
-                        longExchange: minPriceEntry ? minPriceEntry[0] : null,
-                        shortExchange: maxPriceEntry ? maxPriceEntry[0] : null,
-                        longFunding: minFundingEntry ? minFundingEntry[0] : null,
-                        shortFunding: maxFundingEntry ? maxFundingEntry[0] : null
-                    }
-                };
-            })
+            .map(token => buildOpportunity(token.symbol, token.exchanges, idOf))
             .filter(Boolean);
 
+        // 可成交价差在后台刷新，不阻塞本轮发布；两腿未变的币种先沿用上一次的结果
+        if (config.arbitrage.execution.enabled) {
+            applyExecution(aggregatedList);
+        }
+
         latestOpportunities = aggregatedList;
+        latestPairOpportunities = buildPairOpportunities(aggregatedList, idOf);
+        latestExchangeStatus = exchangeStatus;
         lastUpdateTime = new Date().toISOString();
 
+        if (config.history.snapshots.enabled) {
+            snapshotStore.record(fetchedAt, aggregatedList);
+        }
+
+        if (config.arbitrage.execution.enabled) {
+            refreshExecution(aggregatedList, exchangesByLabel);
+        }
+
         // 汇总本轮成功/失败/跳过（tickers 与 funding）
         const tickerTotals = Object.values(statsCounters.tickers).reduce((acc, cur) => ({
             success: acc.success + (cur.success || 0),
@@ -349,14 +285,7 @@ async function main() {
         logger.info('Data aggregation summary', {
             category: 'dataAggregationSummary',
             tokenCount: aggregatedList.length,
-            exchangeData: {
-                okx: Object.keys(okxTickers).length,
-                bybit: Object.keys(bybitTickers).length,
-                binance: Object.keys(binanceTickers).length,
-                backpack: Object.keys(backpackTickers).length,
-                edgex: Object.keys(edgexTickers).length,
-                hyperliquid: Object.keys(hyperliquidTickers).length
-            },
+            exchangeData: countTickers(),
             // 新增：明确展示成功/失败/跳过
             totals: {
                 tickers: {
@@ -374,50 +303,16 @@ async function main() {
             },
             // 新增：各交易所维度的成功/失败/跳过（便于快速定位异常交易所）
             perExchange: {
-                tickers: {
-                    OKX: statsCounters.tickers.okx,
-                    BYBIT: statsCounters.tickers.bybit,
-                    BINANCE: statsCounters.tickers.binance,
-                    BACKPACK: statsCounters.tickers.backpack,
-                    EDGEX: statsCounters.tickers.edgex,
-                    HYPERLIQUID: statsCounters.tickers.hyperliquid
-                },
-                funding: {
-                    OKX: statsCounters.funding.okx,
-                    BYBIT: statsCounters.funding.bybit,
-                    BINANCE: statsCounters.funding.binance,
-                    BACKPACK: statsCounters.funding.backpack,
-                    EDGEX: statsCounters.funding.edgex,
-                    HYPERLIQUID: statsCounters.funding.hyperliquid
-                }
+                tickers: Object.fromEntries(exchanges.map(ex => [ex.label, statsCounters.tickers[ex.id]])),
+                funding: Object.fromEntries(exchanges.map(ex => [ex.label, statsCounters.funding[ex.id]]))
             }
         });
 
         logger.info('Initial data aggregation completed', {
             category: 'dataAggregation',
             tokenCount: Object.keys(tokenData).length,
-            exchangeData: {
-                okx: Object.keys(okxTickers).length,
-                bybit: Object.keys(bybitTickers).length,
-                binance: Object.keys(binanceTickers).length,
-                backpack: Object.keys(backpackTickers).length,
-                edgex: Object.keys(edgexTickers).length,
-                hyperliquid: Object.keys(hyperliquidTickers).length
-            }
+            exchangeData: countTickers()
         });
-        
-        const aggregationStats = {
-            totalTokens: Object.keys(tokenData).length,
-            exchangeBreakdown: {
-                okx: okxTickers ? Object.keys(okxTickers).length : 0,
-                bybit: bybitTickers ? Object.keys(bybitTickers).length : 0,
-                binance: binanceTickers ? Object.keys(binanceTickers).length : 0,
-                backpack: backpackTickers ? Object.keys(backpackTickers).length : 0,
-                edgex: edgexTickers ? Object.keys(edgexTickers).length : 0,
-                hyperliquid: hyperliquidTickers ? Object.keys(hyperliquidTickers).length : 0
-            },
-            // ... existing code ...
-        };
 
         } catch (error) {
             logger.error('Data aggregation failed', {
@@ -438,14 +333,66 @@ async function main() {
 
     // API路由
 
-    // 获取所有交易机会
+    // 获取所有交易机会：GET /api/opportunities?minPriceSpread=0.5&minFundingSpread=0.05&exchanges=BINANCE,OKX&minVolume=1000000&sort=price&order=desc&limit=50&offset=0
+    // minPriceSpread 为价差（%），minFundingSpread 为 8h 费率差（%，0.05 即每 8h 0.05%）；满足其一即保留，缺省为 0（不筛选）
     app.get('/api/opportunities', (req, res) => {
+        const number = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+        const minPriceSpread = number(req.query.minPriceSpread, 0);
+        const minFundingSpread = number(req.query.minFundingSpread, 0);
+        const minVolume = number(req.query.minVolume, 0);
+        const limit = number(req.query.limit, Infinity);
+        const offset = number(req.query.offset, 0);
+        const sort = req.query.sort || 'price';
+        const order = req.query.order || 'desc';
+
+        const invalid = [
+            !Number.isFinite(minPriceSpread) && 'minPriceSpread',
+            !Number.isFinite(minFundingSpread) && 'minFundingSpread',
+            !(minVolume >= 0) && 'minVolume',
+            !((req.query.limit === undefined || req.query.limit === '') || (Number.isInteger(limit) && limit >= 0)) && 'limit',
+            !(Number.isInteger(offset) && offset >= 0) && 'offset',
+            !SORT_FIELDS.includes(sort) && 'sort',
+            !['asc', 'desc'].includes(order) && 'order'
+        ].filter(Boolean);
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid parameters: ${invalid.join(', ')}`
+            });
+        }
+
+        let labels = null;
+        if (req.query.exchanges) {
+            const wanted = String(req.query.exchanges).split(',').map(s => s.trim()).filter(Boolean);
+            const unknown = wanted.filter(name => resolveExchanges(name).length === 0);
+            if (unknown.length > 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Unknown exchange: ${unknown.join(', ')}`
+                });
+            }
+            labels = new Set(resolveExchanges(req.query.exchanges).map(ex => ex.label));
+        }
+
+        const idByLabel = new Map(exchangeRegistry.list().map(ex => [ex.label, ex.id]));
+        const matched = filterOpportunities(latestOpportunities, {
+            minPriceSpread,
+            minFundingSpread,
+            labels,
+            minVolume,
+            sort,
+            order
+        }, label => idByLabel.get(label));
+        const page = matched.slice(offset, offset + limit);
+
         res.json({
             "success": true,
             "data": {
-                "opportunities": latestOpportunities,
+                "opportunities": page,
                 "lastUpdate": lastUpdateTime,
-                "count": latestOpportunities.length
+                "count": page.length,
+                "total": matched.length,
+                "exchangeStatus": latestExchangeStatus
             }
         });
     });
@@ -465,10 +412,27 @@ async function main() {
         });
     });
 
-    // 获取特定交易所对的机会
+    // 获取特定交易所对的机会：GET /api/opportunities/pair/BINANCE-OKX?sort=spread|funding&order=desc
+    // 交易所顺序不限；sort=spread 按价差、sort=funding 按持仓期资金费率收益排序，缺失值排在最后
     app.get('/api/opportunities/pair/:pair', (req, res) => {
-        const pair = req.params.pair.toUpperCase();
-        const filteredOpportunities = latestOpportunities.filter(opp => opp.pair === pair);
+        const pair = req.params.pair.toUpperCase().split('-').sort((a, b) => a.localeCompare(b)).join('-');
+        const sort = req.query.sort || 'spread';
+        if (!['spread', 'funding'].includes(sort)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported sort: ${sort}`
+            });
+        }
+        const direction = req.query.order === 'asc' ? 1 : -1;
+        const sortValue = (opp) => (sort === 'spread' ? opp.price?.grossSpread : opp.funding?.fundingEdge);
+        const filteredOpportunities = latestPairOpportunities
+            .filter(opp => opp.pair === pair)
+            .sort((a, b) => {
+                const va = sortValue(a);
+                const vb = sortValue(b);
+                if (va == null || vb == null) return (va == null) - (vb == null);
+                return (va - vb) * direction;
+            });
         
         res.json({
             "success": true,
@@ -488,16 +452,289 @@ async function main() {
                 "lastUpdate": lastUpdateTime,
                 "totalOpportunities": latestOpportunities.length,
                 "isRunning": true,
-                "bybitFundingMap": bybitExchange.getFundingMap(),
-                "okxFundingMap": okxExchange.getFundingMap(),
-                "binanceFundingMap": binanceExchange.getFundingMap(),
-                "backpackFundingMap": backpackExchange.getFundingMap(),
-                "edgexFundingMap": edgexExchange.getFundingMap(), // 新增
-                "hyperliquidFundingMap": hyperliquidExchange.getFundingMap() // 新增
+                "enabledExchanges": exchangeRegistry.listEnabled().map(ex => ex.id),
+                // 各交易所生命周期：initializing | ready | retrying | failed | disabled
+                "exchanges": Object.fromEntries(exchangeRegistry.list().map(ex => [ex.id, describeExchange(ex)])),
+                "exchangeStatus": latestExchangeStatus,
+                // 保持原有字段名：<id>FundingMap
+                ...Object.fromEntries(exchangeRegistry.listEnabled().filter(isReady).map(ex => [`${ex.id}FundingMap`, ex.getFundingMap()]))
+            }
+        });
+    });
+
+    // 时间参数：支持毫秒时间戳或 ISO 字符串，缺省或无效时返回 fallback
+    const parseTimeParam = (value, fallback) => {
+        if (value === undefined || value === '') return fallback;
+        const t = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+        return Number.isFinite(t) ? t : fallback;
+    };
+
+    // 按 id 或聚合标签（如 binance / BINANCE）查找交易所；逗号分隔多个，缺省返回全部
+    const resolveExchanges = (param) => {
+        if (!param) return exchangeRegistry.list();
+        const wanted = String(param).split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+        return exchangeRegistry.list().filter(ex => wanted.includes(ex.id.toUpperCase()) || wanted.includes(ex.label.toUpperCase()));
+    };
+
+    // 资金费率结算历史：GET /api/funding-history?symbol=BTC&exchange=BINANCE&from=&to=
+    // 默认返回最近 7 天；averages 为截至当前的 24h / 3d / 7d 平均费率，不受 from/to 影响
+    app.get('/api/funding-history', (req, res) => {
+        const symbol = String(req.query.symbol || '').split('/')[0].toUpperCase();
+        if (!symbol) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameter: symbol'
+            });
+        }
+
+        const exchanges = resolveExchanges(req.query.exchange);
+        if (exchanges.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown exchange: ${req.query.exchange}`
+            });
+        }
+
+        const now = Date.now();
+        const to = parseTimeParam(req.query.to, now);
+        const from = parseTimeParam(req.query.from, to - 7 * 24 * 60 * 60 * 1000);
+
+        const data = {};
+        for (const ex of exchanges) {
+            const records = fundingHistory.query(symbol, ex.id, from, to);
+            const averages = fundingHistory.averages(symbol, ex.id, now);
+            if (records.length === 0 && averages['7d'].count === 0) continue;
+            data[ex.label] = { exchange: ex.id, records, averages };
+        }
+
+        res.json({
+            success: true,
+            data: {
+                symbol,
+                from,
+                to,
+                exchanges: data
+            }
+        });
+    });
+
+    // 跨交易所价差K线：GET /api/spread-history?symbol=BTC&long=BINANCE&short=OKX&timeframe=1m
+    // 基于快照存储计算，价差为 (short - long) / long * 100；默认返回最近 limit 根K线
+    app.get('/api/spread-history', (req, res) => {
+        const symbol = String(req.query.symbol || '').split('/')[0].toUpperCase();
+        const timeframe = req.query.timeframe || '1m';
+        const timeframeMs = parseTimeframe(timeframe);
+        if (!symbol || !req.query.long || !req.query.short) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters: symbol, long, short'
+            });
+        }
+        if (!timeframeMs) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported timeframe: ${timeframe}`
+            });
+        }
+
+        const [longEx] = resolveExchanges(req.query.long);
+        const [shortEx] = resolveExchanges(req.query.short);
+        if (!longEx || !shortEx) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown exchange: ${!longEx ? req.query.long : req.query.short}`
+            });
+        }
+        if (longEx === shortEx) {
+            return res.status(400).json({
+                success: false,
+                error: 'long and short must be different exchanges'
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 500, 1), 1500);
+        const to = parseTimeParam(req.query.to, Date.now());
+        const from = parseTimeParam(req.query.from, to - limit * timeframeMs);
+
+        const { resolution, points } = snapshotStore.query(symbol, from, to, timeframeMs);
+        const { candles, funding } = buildSpreadCandles(points, longEx.label, shortEx.label, timeframeMs);
+
+        res.json({
+            success: true,
+            data: {
+                symbol,
+                long: longEx.label,
+                short: shortEx.label,
+                timeframe,
+                // 实际使用的快照分辨率（毫秒）；早于原始层保留期的区间会退到降采样层
+                resolution,
+                candles: candles.slice(-limit),
+                funding: funding.slice(-limit)
+            }
+        });
+    });
+
+    // 资金费率套利预期收益：GET /api/funding-estimate?symbol=BTC&long=BINANCE&short=HYPERLIQUID&size=10000&horizon=24
+    // 按两腿各自的结算时间与周期累计资金费率，扣除开平仓手续费并计入开仓价差（优先按订单簿成交均价）
+    // rate=current 时之后的结算沿用当前费率，rate=24h|3d|7d 时使用结算历史中的平均费率
+    app.get('/api/funding-estimate', async (req, res) => {
+        const symbol = String(req.query.symbol || '').split('/')[0].toUpperCase();
+        if (!symbol || !req.query.long || !req.query.short) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters: symbol, long, short'
+            });
+        }
+
+        const size = Number(req.query.size || config.arbitrage.execution.notionals[0] || 10000);
+        const horizonHours = Number(req.query.horizon || 24);
+        const rateSource = req.query.rate || 'current';
+        if (!(size > 0) || !(horizonHours > 0) || horizonHours > 24 * 30) {
+            return res.status(400).json({
+                success: false,
+                error: 'size must be positive and horizon must be between 0 and 720 hours'
+            });
+        }
+        if (rateSource !== 'current' && !['24h', '3d', '7d'].includes(rateSource)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported rate: ${rateSource}`
+            });
+        }
+
+        const [longEx] = resolveExchanges(req.query.long);
+        const [shortEx] = resolveExchanges(req.query.short);
+        if (!longEx || !shortEx) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown exchange: ${!longEx ? req.query.long : req.query.short}`
+            });
+        }
+        if (longEx === shortEx) {
+            return res.status(400).json({
+                success: false,
+                error: 'long and short must be different exchanges'
+            });
+        }
+
+        const opportunity = latestOpportunities.find(opp => opp.symbol === symbol);
+        const longEntry = opportunity?.exchanges[longEx.label];
+        const shortEntry = opportunity?.exchanges[shortEx.label];
+        if (!longEntry || !shortEntry) {
+            return res.status(404).json({
+                success: false,
+                error: `${symbol} is not listed on ${!longEntry ? longEx.label : shortEx.label}`
+            });
+        }
+
+        const legFor = (ex, entry) => {
+            const fundingInterval = entry.fundingInterval || 8;
+            let projectedRate = entry.fundingRate;
+            if (rateSource !== 'current') {
+                const average = fundingHistory.averages(symbol, ex.id)[rateSource];
+                if (average.count > 0) projectedRate = average.fundingRate1h * fundingInterval;
+            }
+            return {
+                exchange: ex.label,
+                symbol: entry.symbol,
+                price: entry.price,
+                fundingRate: entry.fundingRate,
+                projectedRate,
+                fundingInterval,
+                nextFundingTime: entry.nextFundingTime
+            };
+        };
+        const long = legFor(longEx, longEntry);
+        const short = legFor(shortEx, shortEntry);
+        const feePct = roundTripFeePct(longEx.id, shortEx.id);
+
+        // 开仓价差：两腿订单簿可完整成交时使用成交均价，否则退回 mid 价
+        let priceSource = 'mid';
+        let spreadPct = priceSpreadPct(long.price, short.price);
+        try {
+            const [longBook, shortBook] = await Promise.all([
+                orderBookService.getBook(longEx, long.symbol, config.arbitrage.execution.depthLimit),
+                orderBookService.getBook(shortEx, short.symbol, config.arbitrage.execution.depthLimit)
+            ]);
+            const [fill] = evaluateExecution(longBook, shortBook, long.price, short.price, [size]).sizes;
+            if (fill.filled) {
+                priceSource = 'orderbook';
+                spreadPct = fill.executableSpread;
+                long.entryPrice = fill.buyPrice;
+                short.entryPrice = fill.sellPrice;
+            }
+        } catch (error) {
+            logger.debug('Order book unavailable for funding estimate, using mid prices', {
+                category: 'fundingEstimate',
+                symbol,
+                error: error.message
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                symbol,
+                long,
+                short,
+                rateSource,
+                priceSource,
+                ...estimateFundingReturn({ long, short, size, horizonHours, spreadPct, feePct })
             }
         });
     });
 
+    // 订单簿：GET /api/orderbook?exchange=binance&symbol=BTC/USDT:USDT&limit=20
+    // symbol 可为完整合约符号或币种（BTC）；source 为 ws（实时推送维护）或 rest（快照）
+    app.get('/api/orderbook', async (req, res) => {
+        if (!req.query.exchange || !req.query.symbol) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters: exchange, symbol'
+            });
+        }
+
+        const [ex] = resolveExchanges(req.query.exchange);
+        if (!ex) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown exchange: ${req.query.exchange}`
+            });
+        }
+        if (!isReady(ex)) {
+            return res.status(503).json({
+                success: false,
+                error: `Exchange not ready: ${ex.id}`
+            });
+        }
+
+        const symbol = orderBookService.resolveSymbol(ex, req.query.symbol);
+        if (!symbol) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown symbol on ${ex.id}: ${req.query.symbol}`
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || config.orderbook.defaultLimit, 1), config.orderbook.maxLimit);
+        try {
+            const book = await orderBookService.getBook(ex, symbol, limit);
+            res.json({
+                success: true,
+                data: {
+                    exchange: ex.label,
+                    symbol,
+                    ...book
+                }
+            });
+        } catch (error) {
+            res.status(502).json({
+                success: false,
+                error: `Failed to fetch order book from ${ex.id}: ${error.message}`
+            });
+        }
+    });
+
     // K线数据接口
     app.get('/api/kline', async (req, res) => {
         try {
@@ -601,6 +838,204 @@ async function main() {
 
 
 
+    // 拉取单个交易所资金费率并记录统计
+    async function fetchFunding(ex) {
+        try {
+            const result = await ex.fetchFundingInfo();
+            statsCounters.funding[ex.id].success++;
+            statsCounters.funding[ex.id].lastUpdate = new Date();
+            return result;
+        } catch (err) {
+            statsCounters.funding[ex.id].errors++;
+            throw err;
+        }
+    }
+
+    // 资金费率定时器句柄：id -> setInterval
+    const fundingTimers = new Map();
+    // 未配置 fetchInterval 时的资金费率拉取间隔
+    const DEFAULT_FUNDING_INTERVAL = 60000;
+
+    function scheduleFunding(ex) {
+        if (fundingTimers.has(ex.id)) return;
+        fundingTimers.set(ex.id, setInterval(() => {
+            fetchFunding(ex)
+                .catch(err => logger.error(`${ex.name} funding fetch failed`, err));
+        }, config.exchanges[ex.id]?.fetchInterval || DEFAULT_FUNDING_INTERVAL));
+    }
+
+    // 建立连接、拉取一次资金费率并启动定时任务；只有 initialize 失败才视为启动失败
+    async function startExchange(ex) {
+        await ex.initialize();
+        await fetchFunding(ex)
+            .catch(err => logger.error(`${ex.name} initial funding fetch failed`, err));
+        scheduleFunding(ex);
+    }
+
+    // 释放一次启动建立的资源：资金费率定时器、WebSocket 连接与缓存
+    function teardownExchange(ex) {
+        const timer = fundingTimers.get(ex.id);
+        if (timer) {
+            clearInterval(timer);
+            fundingTimers.delete(ex.id);
+        }
+        ex.disconnect();
+        ex.clearCache();
+        delete lastGoodTickers[ex.id];
+    }
+
+    // 停用：终止进行中的后台初始化并释放资源
+    function stopExchange(ex) {
+        bootTokens.delete(ex.id);
+        teardownExchange(ex);
+    }
+
+    // 同一交易所的启动尝试串行执行：停用后立即重新启用时，新的尝试等待旧的尝试结束并清理后才开始，
+    // 避免同一适配器实例被并发 initialize 而遗留重复的连接与定时器
+    const startLocks = new Map();
+
+    // 返回 false 表示启动期间被取消（已清理）；initialize 失败时清理后抛出
+    async function attemptStart(ex, cancelled) {
+        const previous = startLocks.get(ex.id);
+        let release;
+        const lock = new Promise(resolve => { release = resolve; });
+        startLocks.set(ex.id, lock);
+        await previous;
+        try {
+            if (cancelled()) return false;
+            try {
+                await startExchange(ex);
+            } catch (error) {
+                teardownExchange(ex);
+                throw error;
+            }
+            if (cancelled()) {
+                teardownExchange(ex);
+                return false;
+            }
+            return true;
+        } finally {
+            release();
+            if (startLocks.get(ex.id) === lock) startLocks.delete(ex.id);
+        }
+    }
+
+    // 交易所生命周期状态：id -> { state, attempts, lastError, nextRetryAt, since }
+    // state: initializing | ready | retrying | failed | disabled
+    const lifecycle = {};
+    // 后台初始化令牌：同一交易所重新启用/停用后，旧的重试循环自动退出
+    const bootTokens = new Map();
+
+    function setLifecycle(id, state, extra = {}) {
+        lifecycle[id] = {
+            ...lifecycle[id],
+            state,
+            since: new Date().toISOString(),
+            ...extra
+        };
+    }
+
+    const isReady = (ex) => lifecycle[ex.id]?.state === 'ready';
+
+    // 后台初始化，失败按指数退避重试，不阻塞 API 与其他交易所
+    async function bootExchange(ex) {
+        const { maxAttempts, baseDelayMs, maxDelayMs } = config.initRetry;
+        const token = {};
+        bootTokens.set(ex.id, token);
+        const cancelled = () => bootTokens.get(ex.id) !== token;
+
+        for (let attempt = 1; ; attempt++) {
+            setLifecycle(ex.id, attempt === 1 ? 'initializing' : 'retrying', { attempts: attempt, nextRetryAt: null });
+            try {
+                // 初始化期间被停用或重新启用：本次尝试建立的连接已在 attemptStart 中释放
+                if (!(await attemptStart(ex, cancelled))) return false;
+                bootTokens.delete(ex.id);
+                setLifecycle(ex.id, 'ready', { lastError: null });
+                logger.exchangeSuccess(ex.id, 'INIT', `Exchange ready after ${attempt} attempt(s)`);
+                return true;
+            } catch (error) {
+                if (cancelled()) return false;
+
+                if (maxAttempts > 0 && attempt >= maxAttempts) {
+                    bootTokens.delete(ex.id);
+                    setLifecycle(ex.id, 'failed', { lastError: error.message });
+                    logger.exchangeError(ex.id, 'INIT', `Initialization failed after ${attempt} attempts, giving up`, error);
+                    return false;
+                }
+
+                const delay = Math.min(baseDelayMs * Math.pow(2, attempt - 1), maxDelayMs) + Math.floor(Math.random() * 1000);
+                setLifecycle(ex.id, 'retrying', {
+                    lastError: error.message,
+                    nextRetryAt: new Date(Date.now() + delay).toISOString()
+                });
+                logger.exchangeWarn(ex.id, 'INIT', `Initialization failed, retrying in ${delay}ms (attempt ${attempt})`, {
+                    error: error.message
+                });
+                await new Promise(resolve => setTimeout(resolve, delay));
+                if (cancelled()) return false;
+            }
+        }
+    }
+
+    // 管理接口鉴权：配置了 ADMIN_TOKEN 时校验 Bearer token，否则仅允许本机访问
+    function requireAdmin(req, res, next) {
+        const token = config.admin.token;
+        if (token) {
+            if (req.get('Authorization') === `Bearer ${token}`) return next();
+        } else if (['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.ip)) {
+            return next();
+        }
+        res.status(403).json({
+            success: false,
+            error: 'Forbidden'
+        });
+    }
+
+    const describeExchange = (ex) => ({
+        id: ex.id,
+        name: ex.name,
+        label: ex.label,
+        enabled: exchangeRegistry.isEnabled(ex.id),
+        ...lifecycle[ex.id]
+    });
+
+    // 查看所有交易所的启用状态
+    app.get('/api/admin/exchanges', requireAdmin, (req, res) => {
+        res.json({
+            success: true,
+            data: exchangeRegistry.list().map(describeExchange)
+        });
+    });
+
+    // 运行时启用/停用交易所：POST /api/admin/exchanges/:id/enable | /disable
+    app.post('/api/admin/exchanges/:id/:action(enable|disable)', requireAdmin, async (req, res) => {
+        const ex = exchangeRegistry.get(req.params.id);
+        if (!ex) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown exchange: ${req.params.id}`
+            });
+        }
+
+        const enable = req.params.action === 'enable';
+        if (exchangeRegistry.isEnabled(ex.id) === enable) {
+            return res.json({ success: true, data: describeExchange(ex) });
+        }
+
+        if (enable) {
+            // 后台初始化，就绪后自动加入聚合；进度见 state 字段或 /api/status
+            exchangeRegistry.setEnabled(ex.id, true);
+            bootExchange(ex);
+        } else {
+            // 先移出聚合，再释放连接
+            exchangeRegistry.setEnabled(ex.id, false);
+            stopExchange(ex);
+            setLifecycle(ex.id, 'disabled', { nextRetryAt: null });
+        }
+        logger.success(`Exchange ${enable ? 'enabled' : 'disabled'} at runtime`, { exchange: ex.id });
+        res.status(enable ? 202 : 200).json({ success: true, data: describeExchange(ex) });
+    });
+
     // 启动Express服务器
 
     // 替换原有的 console.log
@@ -611,95 +1046,48 @@ async function main() {
             host: config.server.host 
         });
         
-        try {
-            // 初始化交易所
-            await Promise.all([
-                binanceExchange.initialize(),
-                okxExchange.initialize(),
-                bybitExchange.initialize(),
-                backpackExchange.initialize(),
-                edgexExchange.initialize(), // 新增
-                hyperliquidExchange.initialize() // 新增
-            ]);
-            
-            logger.success('All exchanges initialized successfully');
-            
-            // 立即获取一次资金费率
-            await Promise.all([
-                binanceExchange.fetchFundingInfo(),
-                okxExchange.fetchFundingInfo(),
-                bybitExchange.fetchFundingInfo(),
-                backpackExchange.fetchFundingInfo(),
-                edgexExchange.fetchFundingInfo(), // 新增
-                hyperliquidExchange.fetchFundingInfo() // 新增
-            ]);
-            
-            logger.success('Initial funding info fetched');
-            
-            // 启动定时任务
-            // 串行调度：主循环 runMainOnce 定义与定时器句柄
-            let mainTimer = null;
-            
-            const runMainOnce = () => {
-                if (mainTimer) return; // 防止重入
-                
-                mainTimer = setTimeout(async () => {
-                    try {
-                        await main();
-                    } catch (error) {
-                        logger.error('Main cycle error', error);
-                    } finally {
-                        mainTimer = null;
-                        setTimeout(runMainOnce, config.arbitrage.updateInterval);
-                    }
-                }, 0);
-            };
-            
-            // 启动主循环（串行调度）
-            runMainOnce();
-
-            // OKX 定时更新资金费率（新增）
-            setInterval(() => {
-                okxExchange.fetchFundingInfo()
-                    .catch(err => logger.error('OKX funding fetch failed', err));
-            }, config.exchanges.okx.fetchInterval);
-
-            // Bybit 定时更新资金费率（新增）
-            setInterval(() => {
-                bybitExchange.fetchFundingInfo()
-                    .catch(err => logger.error('Bybit funding fetch failed', err));
-            }, config.exchanges.bybit.fetchInterval);
-
-            // Binance 定时更新资金费率
-            setInterval(() => {
-                binanceExchange.fetchFundingInfo()
-                    .catch(err => logger.error('Binance funding fetch failed', err));
-            }, config.exchanges.binance.fetchInterval);
-
-            // Backpack 定时更新资金费率
-            setInterval(() => {
-                backpackExchange.fetchFundingInfo()
-                    .catch(err => logger.error('Backpack funding fetch failed', err));
-            }, config.exchanges.backpack.fetchInterval);
-
-            // Edgex 定时更新资金费率
-            setInterval(() => {
-                edgexExchange.fetchFundingInfo()
-                    .catch(err => logger.error('Edgex funding fetch failed', err));
-            }, config.exchanges.edgex.fetchInterval);
-
-            // Hyperliquid 定时更新资金费率 - 新增
-            setInterval(() => {
-                hyperliquidExchange.fetchFundingInfo()
-                    .catch(err => logger.error('Hyperliquid funding fetch failed', err));
-            }, config.exchanges.hyperliquid.fetchInterval);
-            
-            logger.info('All scheduled tasks started');
-            
-        } catch (error) {
-            logger.error('Failed to initialize application', error);
-            process.exit(1);
+        const exchanges = exchangeRegistry.listEnabled();
+        const disabledIds = exchangeRegistry.ids().filter(id => !exchangeRegistry.isEnabled(id));
+        if (disabledIds.length > 0) {
+            disabledIds.forEach(id => setLifecycle(id, 'disabled'));
+            logger.info('Skipping disabled exchanges', { exchanges: disabledIds });
+        }
+
+        // 各交易所在后台独立初始化（含资金费率首拉与定时任务），失败自动重试，不再阻塞启动
+        Promise.all(exchanges.map(ex => bootExchange(ex))).then(results => {
+            const readyCount = results.filter(Boolean).length;
+            logger.info(`Exchange initialization settled: ${readyCount}/${exchanges.length} ready`);
+        });
+
+        // 资金费率历史：对已就绪的交易所回填并记录结算
+        if (config.history.funding.enabled) {
+            fundingHistory.start(() => exchangeRegistry.listEnabled().filter(isReady));
         }
+        orderBookService.start();
+
+        // 启动定时任务
+        // 串行调度：主循环 runMainOnce 定义与定时器句柄
+        let mainTimer = null;
+        
+        const runMainOnce = () => {
+            if (mainTimer) return; // 防止重入
+            
+            mainTimer = setTimeout(async () => {
+                try {
+                    await main();
+                } catch (error) {
+                    logger.error('Main cycle error', error);
+                } finally {
+                    mainTimer = null;
+                    setTimeout(runMainOnce, config.arbitrage.updateInterval);
+                }
+            }, 0);
+        };
+        
+        // 启动主循环（串行调度），只聚合已就绪的交易所
+        runMainOnce();
+        
+        logger.info('All scheduled tasks started');
     });
 
     // 优雅关闭处理
@@ -707,7 +1095,10 @@ async function main() {
         logger.info('Received SIGINT, shutting down gracefully...');
         
         // 断开WebSocket连接
-        binanceExchange.disconnect();
+        orderBookService.stop();
+        exchangeRegistry.list().forEach(ex => ex.disconnect());
+        fundingHistory.stop();
+        snapshotStore.flush();
         
         process.exit(0);
     });
@@ -716,7 +1107,10 @@ async function main() {
         logger.info('Received SIGTERM, shutting down gracefully...');
         
         // 断开WebSocket连接
-        binanceExchange.disconnect();
+        orderBookService.stop();
+        exchangeRegistry.list().forEach(ex => ex.disconnect());
+        fundingHistory.stop();
+        snapshotStore.flush();
         
         process.exit(0);
     });
@@ -724,16 +1118,14 @@ async function main() {
     // 添加WebSocket状态监控端点
     app.get('/api/websocket/status', (req, res) => {
         try {
-            const binanceStatus = binanceExchange.getConnectionStatus();
-            // 在这里也添加 hyperliquid 的状态
-            const hyperliquidStatus = hyperliquidExchange.getConnectionStatus(); // 新增
+            const statuses = Object.fromEntries(
+                exchangeRegistry.listEnabled().map(ex => [ex.id, ex.getConnectionStatus()])
+            );
             
             res.json({
                 success: true,
                 data: {
-                    binance: binanceStatus,
-                    hyperliquid: hyperliquidStatus, // 新增
-                    // ... 其他交易所状态
+                    ...statuses,
                     timestamp: new Date().toISOString()
                 }
             });
@@ -793,26 +1185,22 @@ async function main() {
             skipped: fundingTotals.skipped
         });
         
+        // 各交易所累计明细：✅成功 ❌失败 ⏭跳过 (最近更新)
+        const formatCounter = (c) => `✅${c.success} ❌${c.errors} ⏭${c.skipped} (${formatTime(c.lastUpdate)})`;
+        const perExchange = (section) => Object.fromEntries(
+            exchangeRegistry.ids().map(id => [id, formatCounter(statsCounters[section][id])])
+        );
+
         // 价格数据汇总（累计）
         logger.info('📈 Price Data Summary', {
             category: 'periodicSummary',
-            okx: `✅${statsCounters.tickers.okx.success} ❌${statsCounters.tickers.okx.errors} ⏭${statsCounters.tickers.okx.skipped} (${formatTime(statsCounters.tickers.okx.lastUpdate)})`,
-            bybit: `✅${statsCounters.tickers.bybit.success} ❌${statsCounters.tickers.bybit.errors} ⏭${statsCounters.tickers.bybit.skipped} (${formatTime(statsCounters.tickers.bybit.lastUpdate)})`,
-            binance: `✅${statsCounters.tickers.binance.success} ❌${statsCounters.tickers.binance.errors} ⏭${statsCounters.tickers.binance.skipped} (${formatTime(statsCounters.tickers.binance.lastUpdate)})`,
-            backpack: `✅${statsCounters.tickers.backpack.success} ❌${statsCounters.tickers.backpack.errors} ⏭${statsCounters.tickers.backpack.skipped} (${formatTime(statsCounters.tickers.backpack.lastUpdate)})`,
-            edgex: `✅${statsCounters.tickers.edgex.success} ❌${statsCounters.tickers.edgex.errors} ⏭${statsCounters.tickers.edgex.skipped} (${formatTime(statsCounters.tickers.edgex.lastUpdate)})`,
-            hyperliquid: `✅${statsCounters.tickers.hyperliquid.success} ❌${statsCounters.tickers.hyperliquid.errors} ⏭${statsCounters.tickers.hyperliquid.skipped} (${formatTime(statsCounters.tickers.hyperliquid.lastUpdate)})` // 新增
+            ...perExchange('tickers')
         });
     
         // 资金费率汇总（累计）
         logger.info('💰 Funding Rate Summary', {
             category: 'periodicSummary',
-            okx: `✅${statsCounters.funding.okx.success} ❌${statsCounters.funding.okx.errors} ⏭${statsCounters.funding.okx.skipped} (${formatTime(statsCounters.funding.okx.lastUpdate)})`,
-            bybit: `✅${statsCounters.funding.bybit.success} ❌${statsCounters.funding.bybit.errors} ⏭${statsCounters.funding.bybit.skipped} (${formatTime(statsCounters.funding.bybit.lastUpdate)})`,
-            binance: `✅${statsCounters.funding.binance.success} ❌${statsCounters.funding.binance.errors} ⏭${statsCounters.funding.binance.skipped} (${formatTime(statsCounters.funding.binance.lastUpdate)})`,
-            backpack: `✅${statsCounters.funding.backpack.success} ❌${statsCounters.funding.backpack.errors} ⏭${statsCounters.funding.backpack.skipped} (${formatTime(statsCounters.funding.backpack.lastUpdate)})`,
-            edgex: `✅${statsCounters.funding.edgex.success} ❌${statsCounters.funding.edgex.errors} ⏭${statsCounters.funding.edgex.skipped} (${formatTime(statsCounters.funding.edgex.lastUpdate)})`,
-            hyperliquid: `✅${statsCounters.funding.hyperliquid.success} ❌${statsCounters.funding.hyperliquid.errors} ⏭${statsCounters.funding.hyperliquid.skipped} (${formatTime(statsCounters.funding.hyperliquid.lastUpdate)})` // 新增
+            ...perExchange('funding')
         });
     
         // 更新基线快照，供下一次15分钟统计
@@ -0,0 +1,133 @@
+const logger = require('../utils/logger');
+const { walkBook, crossingDepth } = require('../utils/orderbook');
+const { priceSpreadPct } = require('../utils/spread');
+const { roundTripFeePct } = require('../utils/fees');
+
+/**
+ * 计算两腿在各名义金额下的可成交价差
+ * 做多腿按卖盘买入 notional（USDT），做空腿按买盘卖出同等币数量，两腿数量对冲
+ * 滑点相对各自 mid 价计算（含半个买卖价差），total 为 mid 价差与可成交价差之差
+ * @param {{ asks: Array<[number, number]> }} longBook
+ * @param {{ bids: Array<[number, number]> }} shortBook
+ * @param {number} longMid
+ * @param {number} shortMid
+ * @param {number[]} notionals
+ * @param {number} [fees] 两腿开平仓手续费合计（百分比），用于计算 netSpread
+ */
+function evaluateExecution(longBook, shortBook, longMid, shortMid, notionals, fees = 0) {
+    const midSpread = priceSpreadPct(longMid, shortMid);
+    const sizes = notionals.map(notional => {
+        const buy = walkBook(longBook.asks, { notional });
+        const sell = walkBook(shortBook.bids, { size: buy.size });
+        // 任一侧深度不足时只返回部分成交的均价
+        const filled = buy.filled && sell.filled;
+        const executableSpread = filled ? priceSpreadPct(buy.vwap, sell.vwap) : null;
+        return {
+            notional,
+            size: buy.size,
+            buyPrice: buy.vwap,
+            sellPrice: sell.vwap,
+            executableSpread,
+            netSpread: executableSpread !== null ? executableSpread - fees : null,
+            slippage: filled ? {
+                long: ((buy.vwap - longMid) / longMid) * 100,
+                short: ((shortMid - sell.vwap) / shortMid) * 100,
+                total: midSpread - executableSpread
+            } : null,
+            filled
+        };
+    });
+
+    const cross = crossingDepth(longBook.asks, shortBook.bids);
+    return {
+        midSpread,
+        sizes,
+        // 价差消失前可成交的最大规模（边际买入价不低于边际卖出价时停止）
+        maxSize: {
+            size: cross.size,
+            notional: cross.notional,
+            buyPrice: cross.buyVwap,
+            sellPrice: cross.sellVwap,
+            spread: cross.size > 0 ? priceSpreadPct(cross.buyVwap, cross.sellVwap) : null,
+            profit: cross.profit,
+            exhausted: cross.exhausted
+        }
+    };
+}
+
+/**
+ * 为 mid 价差最大的前 maxTokens 个机会附加 execution 字段（按 tradingAdvice 的做多/做空交易所）
+ * 其余机会保持 execution: null，避免每轮为全部币种拉取订单簿；由 index.js 在聚合发布后后台调用
+ * @param {Array} opportunities aggregatedList，交易所条目需包含 symbol 与 price
+ * @param {Map<string, import('../exchanges/base')>} exchangesByLabel
+ * @param {import('./orderBook')} orderBookService
+ * @param {{ notionals: number[], maxTokens: number, depthLimit: number }} settings
+ */
+async function attachExecution(opportunities, exchangesByLabel, orderBookService, settings) {
+    const candidates = opportunities
+        .filter(opp => {
+            const { longExchange, shortExchange } = opp.tradingAdvice;
+            return longExchange && shortExchange && longExchange !== shortExchange;
+        })
+        .map(opp => ({
+            opp,
+            spread: priceSpreadPct(opp.exchanges[opp.tradingAdvice.longExchange].price, opp.exchanges[opp.tradingAdvice.shortExchange].price)
+        }))
+        .sort((a, b) => b.spread - a.spread)
+        .slice(0, settings.maxTokens);
+
+    // 有 WS 盘口的交易所按推送深度取档，避免每次都回退 REST
+    const bookFor = (label, symbol) => {
+        const ex = exchangesByLabel.get(label);
+        const limit = ex.wsBookDepth > 0 ? Math.min(ex.wsBookDepth, settings.depthLimit) : settings.depthLimit;
+        return orderBookService.getBook(ex, symbol, limit);
+    };
+
+    let failed = 0;
+    await Promise.all(candidates.map(async ({ opp }) => {
+        const { longExchange, shortExchange } = opp.tradingAdvice;
+        const long = opp.exchanges[longExchange];
+        const short = opp.exchanges[shortExchange];
+        const fees = roundTripFeePct(exchangesByLabel.get(longExchange).id, exchangesByLabel.get(shortExchange).id);
+        const [longResult, shortResult] = await Promise.allSettled([
+            bookFor(longExchange, long.symbol),
+            bookFor(shortExchange, short.symbol)
+        ]);
+
+        // 任一腿取不到盘口时不输出该币种的结果（不沿用旧结果），按腿记录失败的交易所
+        const legs = [[longExchange, long.symbol, longResult], [shortExchange, short.symbol, shortResult]];
+        const rejected = legs.filter(([, , result]) => result.status === 'rejected');
+        if (rejected.length) {
+            failed++;
+            opp.execution = null;
+            for (const [label, symbol, result] of rejected) {
+                logger.exchangeWarn(exchangesByLabel.get(label).id, 'EXECUTION', `Order book unavailable for ${opp.symbol} (${symbol}): ${result.reason?.message}`);
+            }
+            return;
+        }
+
+        const longBook = longResult.value;
+        const shortBook = shortResult.value;
+        opp.execution = {
+            longExchange,
+            shortExchange,
+            fees,
+            ...evaluateExecution(longBook, shortBook, long.price, short.price, settings.notionals, fees),
+            books: {
+                long: { source: longBook.source, timestamp: longBook.timestamp },
+                short: { source: shortBook.source, timestamp: shortBook.timestamp }
+            }
+        };
+    }));
+
+    logger.debug('Executable spreads updated', {
+        category: 'execution',
+        candidates: candidates.length,
+        failed
+    });
+}
+
+module.exports = {
+    evaluateExecution,
+    attachExecution
+};
@@ -0,0 +1,91 @@
+const HOUR_MS = 60 * 60 * 1000;
+// 持仓期内未回本时，继续向后推算回本时间的上限
+const MAX_BREAKEVEN_HOURS = 30 * 24;
+
+/**
+ * 持仓区间 (from, to] 内的结算时间；nextFundingTime 缺失或已过期时按结算周期从整点对齐推算
+ * @param {number} nextFundingTime 下次结算时间（毫秒）
+ * @param {number} intervalHours
+ * @returns {number[]}
+ */
+function settlementTimes(nextFundingTime, intervalHours, from, to) {
+    const intervalMs = intervalHours * HOUR_MS;
+    let time = nextFundingTime > from ? nextFundingTime : Math.floor(from / intervalMs) * intervalMs + intervalMs;
+    const times = [];
+    for (; time <= to; time += intervalMs) times.push(time);
+    return times;
+}
+
+/**
+ * 资金费率套利预期收益：做多 long、做空 short，名义金额 size（USDT），持有 horizonHours 小时后按价差收敛平仓
+ * 资金费率为正时多头支付、空头收取；每腿按各自的结算时间与周期逐次计算，首次结算使用当前预测费率，
+ * 之后的结算使用 leg.projectedRate（缺省同当前费率）
+ * @param {object} params
+ * @param {{ exchange: string, fundingRate: number, projectedRate?: number, fundingInterval: number, nextFundingTime: number }} params.long
+ * @param {{ exchange: string, fundingRate: number, projectedRate?: number, fundingInterval: number, nextFundingTime: number }} params.short
+ * @param {number} params.size         名义金额（USDT）
+ * @param {number} params.horizonHours 持仓时长（小时）
+ * @param {number} params.spreadPct    开仓价差（%），(short - long) / long * 100，平仓时假设收敛为 0
+ * @param {number} params.feePct       两腿开平仓手续费合计（%）
+ * @param {number} [params.now]
+ */
+function estimateFundingReturn({ long, short, size, horizonHours, spreadPct, feePct, now = Date.now() }) {
+    const horizonEnd = now + horizonHours * HOUR_MS;
+    const searchEnd = now + Math.max(horizonHours, MAX_BREAKEVEN_HOURS) * HOUR_MS;
+
+    // 每腿的结算事件，amount 为持仓方向上的收益（USDT）
+    const legEvents = (leg, side) => settlementTimes(leg.nextFundingTime, leg.fundingInterval, now, searchEnd)
+        .map((time, i) => {
+            const rate = i === 0 ? leg.fundingRate : (leg.projectedRate ?? leg.fundingRate);
+            return {
+                time,
+                exchange: leg.exchange,
+                side,
+                rate,
+                amount: (side === 'long' ? -rate : rate) * size
+            };
+        });
+    const events = [...legEvents(long, 'long'), ...legEvents(short, 'short')].sort((a, b) => a.time - b.time);
+
+    const spreadPnl = (spreadPct / 100) * size;
+    const feeCost = (feePct / 100) * size;
+    const initial = spreadPnl - feeCost;
+
+    // 回本时间：累计资金费率收益首次覆盖手续费与不利价差的结算时刻
+    let cumulative = initial;
+    let breakevenTime = initial >= 0 ? now : null;
+    let fundingIncome = 0;
+    const settlements = [];
+    for (const event of events) {
+        cumulative += event.amount;
+        if (breakevenTime === null && cumulative >= 0) breakevenTime = event.time;
+        if (event.time <= horizonEnd) {
+            fundingIncome += event.amount;
+            settlements.push(event);
+        }
+    }
+
+    const sumFor = (side) => settlements.filter(e => e.side === side).reduce((sum, e) => sum + e.amount, 0);
+    const expectedPnl = fundingIncome + spreadPnl - feeCost;
+    return {
+        size,
+        horizonHours,
+        funding: {
+            income: fundingIncome,
+            long: sumFor('long'),
+            short: sumFor('short'),
+            settlements
+        },
+        spread: { pct: spreadPct, pnl: spreadPnl },
+        fees: { pct: feePct, amount: feeCost },
+        expectedPnl,
+        expectedReturn: (expectedPnl / size) * 100,
+        breakevenTime,
+        breakevenHours: breakevenTime !== null ? (breakevenTime - now) / HOUR_MS : null
+    };
+}
+
+module.exports = {
+    settlementTimes,
+    estimateFundingReturn
+};
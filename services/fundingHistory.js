@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { normalizeFundingRate } = require('../utils/funding');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// 同一次结算在不同来源中的时间可能有毫秒级偏差（如 Hyperliquid 历史记录），在此范围内视为同一条
+const SAME_SETTLEMENT_MS = 60 * 1000;
+// 历史接口返回的数据优先于根据推送推断的结算事件
+const SOURCE_PRIORITY = { settlement: 0, history: 1 };
+// /api/funding-history 返回的均值窗口
+const AVERAGE_WINDOWS = { '24h': DAY_MS, '3d': 3 * DAY_MS, '7d': 7 * DAY_MS };
+
+// 资金费率历史：启动后按交易所历史接口回填，此后持续记录适配器观察到的结算事件
+// 数据按交易所追加写入 <dataDir>/funding/<exchangeId>.jsonl，每行一条结算记录，重启时重新载入
+class FundingHistory {
+    constructor(options = {}) {
+        const settings = { ...config.history.funding, ...options };
+        this.dir = path.join(settings.dataDir || config.history.dataDir, 'funding');
+        this.backfillDays = settings.backfillDays;
+        this.retentionMs = settings.retentionDays * DAY_MS;
+        this.recordInterval = settings.recordInterval;
+        this.backfillDelay = settings.backfillDelay;
+
+        this.records = new Map();   // exchangeId -> Map(symbol -> [{ fundingTime, fundingRate, fundingInterval, source }]，按时间升序)
+        this.pending = new Map();   // exchangeId -> 待追加写入的行
+        this.backfilled = new Set(); // 本次运行中已完成（或正在排队）回填的交易所
+        this.backfillQueue = [];
+        this.backfilling = false;
+        this.lastCompaction = 0;
+        this.timer = null;
+    }
+
+    /**
+     * @param {() => Array<import('../exchanges/base')>} getExchanges 返回当前已就绪的交易所
+     */
+    start(getExchanges) {
+        if (this.timer) return;
+        this.getExchanges = getExchanges;
+        this.load();
+        this.timer = setInterval(() => this.tick(), this.recordInterval);
+        logger.info('Funding history started', {
+            category: 'fundingHistory',
+            dir: this.dir,
+            exchanges: this.records.size
+        });
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.backfillQueue = [];
+        this.flush();
+    }
+
+    // 载入磁盘数据；同一结算出现多次时后写入的行生效，载入后按保留期压缩文件
+    load() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        for (const file of fs.readdirSync(this.dir)) {
+            if (!file.endsWith('.jsonl')) continue;
+            const exchangeId = file.slice(0, -'.jsonl'.length);
+            const lines = fs.readFileSync(path.join(this.dir, file), 'utf8').split('\n');
+            let invalid = 0;
+            for (const line of lines) {
+                if (!line) continue;
+                try {
+                    const { symbol, ...record } = JSON.parse(line);
+                    this.insert(exchangeId, symbol, record, true);
+                } catch {
+                    invalid++;
+                }
+            }
+            if (invalid > 0) {
+                logger.exchangeWarn(exchangeId, 'FUNDING', `Skipped ${invalid} unreadable funding history lines`);
+            }
+        }
+        this.compact();
+    }
+
+    // 写入一条结算记录，返回是否产生了变化；force 用于载入磁盘数据（后者覆盖前者）
+    insert(exchangeId, symbol, record, force = false) {
+        if (!symbol || !Number.isFinite(record.fundingTime) || !Number.isFinite(record.fundingRate)) return false;
+        if (record.fundingTime < Date.now() - this.retentionMs) return false;
+
+        if (!this.records.has(exchangeId)) this.records.set(exchangeId, new Map());
+        const bySymbol = this.records.get(exchangeId);
+        if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+        const list = bySymbol.get(symbol);
+
+        // 绝大多数记录追加在末尾，从后向前查找插入位置
+        let i = list.length;
+        while (i > 0 && list[i - 1].fundingTime > record.fundingTime + SAME_SETTLEMENT_MS) i--;
+        const prev = list[i - 1];
+        if (prev && Math.abs(prev.fundingTime - record.fundingTime) <= SAME_SETTLEMENT_MS) {
+            const keep = !force && (SOURCE_PRIORITY[prev.source] || 0) >= (SOURCE_PRIORITY[record.source] || 0);
+            if (keep || (prev.fundingRate === record.fundingRate && prev.source === record.source)) return false;
+            list[i - 1] = record;
+            return true;
+        }
+        list.splice(i, 0, record);
+        return true;
+    }
+
+    add(exchangeId, symbol, record) {
+        if (!this.insert(exchangeId, symbol, record)) return false;
+        if (!this.pending.has(exchangeId)) this.pending.set(exchangeId, []);
+        this.pending.get(exchangeId).push(JSON.stringify({ symbol, ...record }));
+        return true;
+    }
+
+    flush() {
+        for (const [exchangeId, lines] of this.pending) {
+            if (lines.length === 0) continue;
+            try {
+                fs.appendFileSync(path.join(this.dir, `${exchangeId}.jsonl`), lines.join('\n') + '\n');
+            } catch (error) {
+                logger.exchangeError(exchangeId, 'FUNDING', 'Failed to write funding history', error);
+            }
+        }
+        this.pending.clear();
+    }
+
+    // 丢弃超出保留期的记录并重写文件（先写临时文件再替换）
+    compact() {
+        const cutoff = Date.now() - this.retentionMs;
+        this.flush();
+        for (const [exchangeId, bySymbol] of this.records) {
+            const lines = [];
+            for (const [symbol, list] of bySymbol) {
+                const start = list.findIndex(r => r.fundingTime >= cutoff);
+                if (start === -1) {
+                    bySymbol.delete(symbol);
+                    continue;
+                }
+                if (start > 0) list.splice(0, start);
+                for (const record of list) lines.push(JSON.stringify({ symbol, ...record }));
+            }
+            const file = path.join(this.dir, `${exchangeId}.jsonl`);
+            try {
+                fs.writeFileSync(`${file}.tmp`, lines.length ? lines.join('\n') + '\n' : '');
+                fs.renameSync(`${file}.tmp`, file);
+            } catch (error) {
+                logger.exchangeError(exchangeId, 'FUNDING', 'Failed to compact funding history', error);
+            }
+        }
+        this.lastCompaction = Date.now();
+    }
+
+    tick() {
+        const exchanges = this.getExchanges ? this.getExchanges() : [];
+        const readyIds = new Set(exchanges.map(ex => ex.id));
+
+        for (const ex of exchanges) {
+            this.recordSettlements(ex);
+            if (!this.backfilled.has(ex.id)) {
+                this.backfilled.add(ex.id);
+                this.backfillQueue.push(ex);
+            }
+        }
+        // 停用后重新启用的交易所需要补齐停用期间的缺口
+        for (const id of this.backfilled) {
+            if (!readyIds.has(id)) this.backfilled.delete(id);
+        }
+
+        this.flush();
+        if (Date.now() - this.lastCompaction >= DAY_MS) this.compact();
+        this.runBackfill();
+    }
+
+    // 适配器在 fundingMap 中维护上一次结算费率与时间（见 BaseExchange.updateFunding）
+    recordSettlements(ex) {
+        for (const [symbol, funding] of Object.entries(ex.getFundingMap() || {})) {
+            const fundingRate = Number(funding?.lastSettledFundingRate);
+            const fundingTime = Number(funding?.lastSettlementTime);
+            if (funding?.lastSettledFundingRate == null || !Number.isFinite(fundingRate) || !(fundingTime > 0)) continue;
+            this.add(ex.id, symbol, {
+                fundingTime,
+                fundingRate,
+                fundingInterval: funding.fundingInterval || null,
+                source: 'settlement'
+            });
+        }
+    }
+
+    // 回填串行执行，避免与实时数据争用各交易所的限频额度
+    async runBackfill() {
+        if (this.backfilling) return;
+        this.backfilling = true;
+        try {
+            while (this.backfillQueue.length > 0) {
+                const ex = this.backfillQueue.shift();
+                await this.backfill(ex);
+            }
+        } finally {
+            this.backfilling = false;
+        }
+    }
+
+    async backfill(ex) {
+        const startedAt = Date.now();
+        const symbols = Object.keys(ex.getFundingMap() || {});
+        let added = 0;
+        let errorCount = 0;
+        let skippedCount = 0;
+
+        for (const symbol of symbols) {
+            if (!this.timer) return; // 已停止
+            const intervalHours = ex.getFundingMap()[symbol]?.fundingInterval || 8;
+            const latest = this.latestRecord(ex.id, symbol);
+            // 最近一次结算已入库，无需回填
+            if (latest && latest.fundingTime > Date.now() - intervalHours * HOUR_MS) {
+                skippedCount++;
+                continue;
+            }
+
+            let since = Math.max(Date.now() - this.backfillDays * DAY_MS, latest ? latest.fundingTime + 1 : 0);
+            try {
+                // 历史接口单次条数有限，按最后一条时间继续向后翻页，直到没有新数据
+                for (let page = 0; page < 20; page++) {
+                    const history = await ex.fetchFundingHistory(symbol, since);
+                    if (history === null) {
+                        logger.exchangeInfo(ex.id, 'FUNDING', 'Funding history backfill not supported, recording settlements only');
+                        return;
+                    }
+                    let lastTime = since;
+                    for (const item of history) {
+                        if (this.add(ex.id, symbol, { ...item, fundingInterval: intervalHours, source: 'history' })) added++;
+                        lastTime = Math.max(lastTime, item.fundingTime);
+                    }
+                    await new Promise(resolve => setTimeout(resolve, this.backfillDelay));
+                    if (lastTime <= since) break;
+                    since = lastTime + 1;
+                }
+            } catch (error) {
+                errorCount++;
+                if (config.logging.enableDetailedFunding) {
+                    logger.fundingError(ex.id, `Funding history backfill failed for ${symbol}`, error);
+                }
+            }
+        }
+        this.flush();
+
+        logger.exchangeSuccess(ex.id, 'FUNDING', 'Funding history backfill completed', {
+            symbols: symbols.length,
+            added,
+            skipped: skippedCount,
+            errors: errorCount,
+            durationMs: Date.now() - startedAt
+        });
+    }
+
+    latestRecord(exchangeId, symbol) {
+        const list = this.records.get(exchangeId)?.get(symbol);
+        return list && list.length ? list[list.length - 1] : null;
+    }
+
+    // 币种（如 BTC）在某交易所下的全部记录；同一币种可能对应多个合约符号
+    recordsFor(exchangeId, token) {
+        const result = [];
+        for (const [symbol, list] of this.records.get(exchangeId) || []) {
+            if (symbol.split('/')[0] !== token) continue;
+            for (const record of list) result.push({ symbol, ...record });
+        }
+        return result.sort((a, b) => a.fundingTime - b.fundingTime);
+    }
+
+    /**
+     * 查询币种的结算历史
+     * @param {string} token 币种，例如 'BTC'
+     * @param {string} exchangeId
+     * @param {number} from 起始时间（毫秒，含）
+     * @param {number} to   结束时间（毫秒，含）
+     */
+    query(token, exchangeId, from, to) {
+        return this.recordsFor(exchangeId, token)
+            .filter(r => r.fundingTime >= from && r.fundingTime <= to)
+            .map(r => ({
+                ...r,
+                ...normalizeFundingRate(r.fundingRate, r.fundingInterval)
+            }));
+    }
+
+    // 各窗口内的平均费率：窗口内结算费率之和除以覆盖的小时数，不同结算周期可直接比较
+    averages(token, exchangeId, now = Date.now()) {
+        const records = this.recordsFor(exchangeId, token);
+        return Object.fromEntries(Object.entries(AVERAGE_WINDOWS).map(([name, windowMs]) => {
+            const inWindow = records.filter(r => r.fundingTime > now - windowMs && r.fundingTime <= now);
+            const totalRate = inWindow.reduce((sum, r) => sum + r.fundingRate, 0);
+            const totalHours = inWindow.reduce((sum, r) => sum + (r.fundingInterval || 8), 0);
+            return [name, {
+                count: inWindow.length,
+                totalRate: inWindow.length ? totalRate : null,
+                ...normalizeFundingRate(inWindow.length ? totalRate / totalHours : NaN, 1)
+            }];
+        }));
+    }
+}
+
+module.exports = FundingHistory;
@@ -0,0 +1,180 @@
+const config = require('../config/config');
+const { priceSpreadPct, fundingDiff8hPct } = require('../utils/spread');
+const { roundTripFeePct } = require('../utils/fees');
+
+// 聚合结果的构建与筛选：main() 每轮按币种生成机会与交易所两两组合，
+// /api/opportunities 按交易所或成交量筛掉部分条目后用同样的逻辑在子集上重算
+// 以下 idOf 均为 label -> 交易所 id 的映射函数，用于查找手续费
+
+/**
+ * 扣除两腿开平仓手续费后的净价差与净资金费率收益（百分比）；同一交易所无法对冲时为 null
+ * 各腿参数为 [label, entry]
+ */
+function netEdgeFor(idOf, priceLong, priceShort, fundingLong, fundingShort) {
+    const feesFor = (long, short) => roundTripFeePct(idOf(long[0]), idOf(short[0]));
+
+    let price = null;
+    if (priceLong && priceShort && priceLong[0] !== priceShort[0]) {
+        const grossSpread = priceSpreadPct(priceLong[1].price, priceShort[1].price);
+        const fees = feesFor(priceLong, priceShort);
+        price = {
+            longExchange: priceLong[0],
+            shortExchange: priceShort[0],
+            grossSpread,
+            fees,
+            netSpread: grossSpread - fees
+        };
+    }
+
+    let funding = null;
+    if (fundingLong && fundingShort && fundingLong[0] !== fundingShort[0]) {
+        const fundingDiff8h = fundingDiff8hPct(fundingLong[1], fundingShort[1]);
+        const holdingHours = config.fees.holdingHours;
+        const fundingEdge = (fundingDiff8h / 8) * holdingHours;
+        const fees = feesFor(fundingLong, fundingShort);
+        funding = {
+            longExchange: fundingLong[0],
+            shortExchange: fundingShort[0],
+            fundingDiff8h,
+            holdingHours,
+            fundingEdge,
+            fees,
+            netFundingEdge: fundingEdge - fees
+        };
+    }
+
+    return { price, funding };
+}
+
+/**
+ * 由币种在各交易所的数据生成机会；不足两个有效报价时返回 null
+ * @param {string} symbol 币种，例如 'BTC'
+ * @param {Object} exchanges label -> 交易所条目（price / fundingRate1h / ...）
+ * @param {(label: string) => string} idOf
+ */
+function buildOpportunity(symbol, exchanges, idOf) {
+    const entries = Object.entries(exchanges || {});
+    if (entries.length < 2) return null; // 至少两个交易所有对比价值
+
+    // 价格端建议（最低价做多，最高价做空）
+    const priceEntries = entries.filter(([, d]) => d.price && d.price > 0);
+    if (priceEntries.length < 2) return null;
+
+    const minPriceEntry = priceEntries.reduce((a, b) => (a[1].price <= b[1].price ? a : b));
+    const maxPriceEntry = priceEntries.reduce((a, b) => (a[1].price >= b[1].price ? a : b));
+
+    // 资金费率端建议（最低费率做多，最高费率做空）；按每小时费率比较，避免 1h 与 8h 周期直接相减
+    const fundingEntries = entries.filter(([, d]) => typeof d.fundingRate1h === 'number');
+    const minFundingEntry = fundingEntries.length ? fundingEntries.reduce((a, b) => (a[1].fundingRate1h <= b[1].fundingRate1h ? a : b)) : null;
+    const maxFundingEntry = fundingEntries.length ? fundingEntries.reduce((a, b) => (a[1].fundingRate1h >= b[1].fundingRate1h ? a : b)) : null;
+
+    return {
+        symbol, // 币种名，如 BTC
+        exchanges,
+        tradingAdvice: {
+            longExchange: minPriceEntry ? minPriceEntry[0] : null,
+            shortExchange: maxPriceEntry ? maxPriceEntry[0] : null,
+            longFunding: minFundingEntry ? minFundingEntry[0] : null,
+            shortFunding: maxFundingEntry ? maxFundingEntry[0] : null
+        },
+        netEdge: netEdgeFor(idOf, minPriceEntry, maxPriceEntry, minFundingEntry, maxFundingEntry),
+        // 按订单簿计算的可成交价差，仅 mid 价差靠前的币种填充（见 config.arbitrage.execution）
+        execution: null
+    };
+}
+
+/**
+ * 每个币种展开全部交易所两两组合（pair 如 'BINANCE-OKX'，标签按字母序）：
+ * 价格端低价做多、高价做空，费率端低费率做多、高费率做空
+ */
+function buildPairOpportunities(opportunities, idOf) {
+    const pairList = [];
+    for (const token of opportunities) {
+        const entries = Object.entries(token.exchanges)
+            .filter(([, d]) => d.price > 0)
+            .sort(([a], [b]) => a.localeCompare(b));
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                const a = entries[i];
+                const b = entries[j];
+                const [priceLong, priceShort] = a[1].price <= b[1].price ? [a, b] : [b, a];
+                const hasFunding = typeof a[1].fundingRate1h === 'number' && typeof b[1].fundingRate1h === 'number';
+                const [fundingLong, fundingShort] = !hasFunding ? [null, null]
+                    : a[1].fundingRate1h <= b[1].fundingRate1h ? [a, b] : [b, a];
+                const { price, funding } = netEdgeFor(idOf, priceLong, priceShort, fundingLong, fundingShort);
+                pairList.push({
+                    symbol: token.symbol,
+                    pair: `${a[0]}-${b[0]}`,
+                    price,
+                    funding,
+                    // 价差与费率差方向一致时，同一组开仓可同时获取两者
+                    aligned: funding ? funding.longExchange === price.longExchange : null
+                });
+            }
+        }
+    }
+    return pairList;
+}
+
+// 排序字段：price 为价差，funding 为 8h 费率差，net 为扣费后价差与资金费率收益中较大者
+const SORT_VALUES = {
+    price: (opp) => opp.netEdge.price?.grossSpread,
+    funding: (opp) => opp.netEdge.funding?.fundingDiff8h,
+    net: (opp) => {
+        const values = [opp.netEdge.price?.netSpread, opp.netEdge.funding?.netFundingEdge].filter(v => typeof v === 'number');
+        return values.length ? Math.max(...values) : null;
+    }
+};
+
+/**
+ * 筛选并排序机会
+ * 按交易所或成交量去掉部分条目后，在剩余交易所上重算 tradingAdvice / netEdge；
+ * 可成交价差依赖订单簿，仅在其两腿仍是做多/做空交易所时保留
+ * 价差不低于 minPriceSpread 或费率差不低于 minFundingSpread 的币种保留（满足其一即可）
+ * @param {Array} opportunities latestOpportunities
+ * @param {{ minPriceSpread: number, minFundingSpread: number, labels?: Set<string>|null, minVolume?: number, sort?: 'price'|'funding'|'net', order?: 'asc'|'desc' }} filters
+ * @param {(label: string) => string} idOf
+ */
+function filterOpportunities(opportunities, filters, idOf) {
+    const { minPriceSpread, minFundingSpread, labels = null, minVolume = 0, sort = 'price', order = 'desc' } = filters;
+    const result = [];
+
+    for (const opp of opportunities) {
+        let candidate = opp;
+        // minVolume 为 24h 成交额（USDT），使用适配器统一口径的 quoteVolume；缺失时视为 0
+        const kept = Object.entries(opp.exchanges)
+            .filter(([label, d]) => (!labels || labels.has(label)) && (d.quoteVolume || 0) >= minVolume);
+        if (kept.length < Object.keys(opp.exchanges).length) {
+            candidate = buildOpportunity(opp.symbol, Object.fromEntries(kept), idOf);
+            if (!candidate) continue;
+            const { execution } = opp;
+            if (execution
+                && execution.longExchange === candidate.tradingAdvice.longExchange
+                && execution.shortExchange === candidate.tradingAdvice.shortExchange) {
+                candidate.execution = execution;
+            }
+        }
+
+        const priceSpread = candidate.netEdge.price?.grossSpread ?? 0;
+        const fundingSpread = candidate.netEdge.funding?.fundingDiff8h ?? 0;
+        if (priceSpread < minPriceSpread && fundingSpread < minFundingSpread) continue;
+        result.push(candidate);
+    }
+
+    const direction = order === 'asc' ? 1 : -1;
+    const valueOf = SORT_VALUES[sort];
+    return result.sort((a, b) => {
+        const va = valueOf(a);
+        const vb = valueOf(b);
+        if (va == null || vb == null) return (va == null) - (vb == null); // 缺失值排在最后
+        return (va - vb) * direction;
+    });
+}
+
+module.exports = {
+    SORT_FIELDS: Object.keys(SORT_VALUES),
+    netEdgeFor,
+    buildOpportunity,
+    buildPairOpportunities,
+    filterOpportunities
+};
@@ -0,0 +1,131 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+// 订单簿深度服务：按需为被查询的合约订阅 WS 深度（Binance / OKX / Bybit / Backpack），
+// 其余交易所（或 WS 盘口过期、档位不足时）回退到 REST 快照，快照在 snapshotTtl 内复用
+// 被查询过的合约保持订阅，超过 watchTtl 未再查询则退订；每个交易所最多保持 maxWatchedPerExchange 个
+class OrderBookService {
+    constructor(options = {}) {
+        const settings = { ...config.orderbook, ...options };
+        this.watchTtl = settings.watchTtl;
+        this.maxWatchedPerExchange = settings.maxWatchedPerExchange;
+        this.snapshotTtl = settings.snapshotTtl;
+        this.staleMs = settings.staleMs;
+
+        this.watched = new Map();   // 'exchangeId|symbol' -> { ex, symbol, lastUsed }
+        this.snapshots = new Map(); // 'exchangeId|symbol' -> { book, limit, fetchedAt }
+        this.inflight = new Map();  // 'exchangeId|symbol|limit' -> Promise
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.sweep(), Math.max(this.watchTtl / 5, 10000));
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        for (const { ex, symbol } of this.watched.values()) ex.unwatchOrderBook(symbol);
+        this.watched.clear();
+        this.snapshots.clear();
+    }
+
+    /**
+     * 把查询参数解析为交易所内的合约符号：完整符号优先，否则按币种匹配（BTC -> BTC/USDT:USDT）
+     * @returns {string|null}
+     */
+    resolveSymbol(ex, symbol) {
+        const wanted = String(symbol || '').trim();
+        if (!wanted) return null;
+        const symbols = Object.keys({ ...ex.tickersMap, ...ex.getFundingMap() });
+        if (symbols.includes(wanted)) return wanted;
+        const token = wanted.split('/')[0].toUpperCase();
+        return symbols.find(s => s.split('/')[0] === token) || null;
+    }
+
+    // 记录查询并按需订阅；超过上限时退订最久未使用的合约
+    watch(ex, symbol) {
+        const key = `${ex.id}|${symbol}`;
+        const entry = this.watched.get(key);
+        if (entry) {
+            entry.lastUsed = Date.now();
+            return;
+        }
+        if (!ex.watchOrderBook(symbol)) return;
+        this.watched.set(key, { ex, symbol, lastUsed: Date.now() });
+
+        const own = [...this.watched.entries()].filter(([, w]) => w.ex === ex);
+        if (own.length > this.maxWatchedPerExchange) {
+            const [oldestKey, oldest] = own.reduce((a, b) => (b[1].lastUsed < a[1].lastUsed ? b : a));
+            this.unwatch(oldestKey, oldest);
+        }
+    }
+
+    unwatch(key, entry) {
+        entry.ex.unwatchOrderBook(entry.symbol);
+        this.watched.delete(key);
+    }
+
+    sweep(now = Date.now()) {
+        for (const [key, entry] of this.watched) {
+            if (now - entry.lastUsed > this.watchTtl) this.unwatch(key, entry);
+        }
+        for (const [key, snapshot] of this.snapshots) {
+            if (now - snapshot.fetchedAt > this.snapshotTtl) this.snapshots.delete(key);
+        }
+    }
+
+    /**
+     * 获取订单簿
+     * @param {import('../exchanges/base')} ex
+     * @param {string} symbol 交易所内的合约符号（见 resolveSymbol）
+     * @param {number} limit  每侧档位数
+     * @returns {Promise<{ bids: Array<[number, number]>, asks: Array<[number, number]>, timestamp: number, source: 'ws'|'rest' }>}
+     */
+    async getBook(ex, symbol, limit) {
+        this.watch(ex, symbol);
+
+        const now = Date.now();
+        if (limit <= ex.wsBookDepth) {
+            const book = ex.getOrderBook(symbol, limit);
+            if (book && (book.bids.length || book.asks.length) && now - (book.timestamp || 0) <= this.staleMs) {
+                return { ...book, source: 'ws' };
+            }
+        }
+
+        const key = `${ex.id}|${symbol}`;
+        const cached = this.snapshots.get(key);
+        if (cached && cached.limit >= limit && now - cached.fetchedAt <= this.snapshotTtl) {
+            return this.slice(cached.book, limit);
+        }
+
+        // 同一合约、档位的并发请求共用一次 REST 调用
+        const inflightKey = `${key}|${limit}`;
+        if (!this.inflight.has(inflightKey)) {
+            const request = ex.fetchOrderBook(symbol, limit)
+                .then(book => {
+                    this.snapshots.set(key, { book, limit, fetchedAt: Date.now() });
+                    return book;
+                })
+                .catch(error => {
+                    logger.exchangeWarn(ex.id, 'ORDERBOOK', `Order book snapshot failed for ${symbol}: ${error.message}`);
+                    throw error;
+                })
+                .finally(() => this.inflight.delete(inflightKey));
+            this.inflight.set(inflightKey, request);
+        }
+        return this.slice(await this.inflight.get(inflightKey), limit);
+    }
+
+    slice(book, limit) {
+        return {
+            bids: book.bids.slice(0, limit),
+            asks: book.asks.slice(0, limit),
+            timestamp: book.timestamp,
+            source: 'rest'
+        };
+    }
+}
+
+module.exports = OrderBookService;
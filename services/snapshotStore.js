@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 每个交易所一行数据按此顺序存为数组，减小文件体积
+const FIELDS = ['mid', 'fundingRate', 'fundingInterval', 'nextFundingTime', 'quoteVolume'];
+
+// 60000 -> '1m'，900000 -> '15m'，3600000 -> '1h'
+const resolutionLabel = (ms) => {
+    if (ms % DAY_MS === 0) return `${ms / DAY_MS}d`;
+    if (ms % 3600000 === 0) return `${ms / 3600000}h`;
+    if (ms % 60000 === 0) return `${ms / 60000}m`;
+    return `${ms / 1000}s`;
+};
+
+const dayKey = (time) => new Date(time).toISOString().slice(0, 10);
+// 币种名用作文件名，去掉路径分隔符等字符
+const tokenFile = (token) => `${String(token).replace(/[^A-Za-z0-9_-]/g, '_')}.jsonl`;
+
+// 桶内累计 -> 行内 x 字段，数组顺序与 FIELDS 一致
+const packExchanges = (byExchange) => {
+    const x = {};
+    for (const [label, a] of byExchange) {
+        x[label] = [a.midSum / a.count, a.fundingRate, a.fundingInterval, a.nextFundingTime, a.quoteVolume];
+    }
+    return x;
+};
+
+// 聚合快照时序存储：按币种、交易所记录 mid 价、资金费率、下次结算时间与 24h 成交额（quoteVolume）
+// 每个分辨率一层，目录结构为 <dataDir>/snapshots/<分辨率>/<UTC 日期>/<币种>.jsonl，每行一个时间桶：
+//   {"t":桶起始时间,"x":{"BINANCE":[mid,fundingRate,fundingInterval,nextFundingTime,quoteVolume],...}}
+// 桶内 mid 取均值，其余字段取最后一次的值；各层独立保留，过期按天删除目录
+class SnapshotStore {
+    constructor(options = {}) {
+        const settings = { ...config.history.snapshots, ...options };
+        this.dir = path.join(settings.dataDir || config.history.dataDir, 'snapshots');
+        this.minExchanges = settings.minExchanges;
+
+        const tiers = [
+            { resolution: settings.resolution, retentionDays: settings.retentionDays },
+            ...(settings.downsample || [])
+        ];
+        this.tiers = tiers
+            .filter(t => t.resolution > 0 && t.retentionDays > 0)
+            .sort((a, b) => a.resolution - b.resolution)
+            .map(t => ({
+                ...t,
+                label: resolutionLabel(t.resolution),
+                bucket: null,
+                acc: new Map() // token -> Map(label -> { midSum, count, fundingRate, fundingInterval, nextFundingTime, quoteVolume })
+            }));
+        this.lastCleanup = 0;
+    }
+
+    /**
+     * 记录一轮聚合结果，在 main() 每次聚合后调用
+     * @param {number} time 聚合时间（毫秒）
+     * @param {Array<{ symbol: string, exchanges: Object }>} opportunities latestOpportunities
+     */
+    record(time, opportunities) {
+        for (const tier of this.tiers) {
+            const bucket = Math.floor(time / tier.resolution) * tier.resolution;
+            if (tier.bucket !== null && bucket !== tier.bucket) {
+                this.writeTier(tier);
+            }
+            tier.bucket = bucket;
+
+            for (const opp of opportunities) {
+                const entries = Object.entries(opp.exchanges || {}).filter(([, d]) => d.price > 0);
+                if (entries.length < this.minExchanges) continue;
+
+                if (!tier.acc.has(opp.symbol)) tier.acc.set(opp.symbol, new Map());
+                const byExchange = tier.acc.get(opp.symbol);
+                for (const [label, d] of entries) {
+                    const prev = byExchange.get(label);
+                    byExchange.set(label, {
+                        midSum: (prev ? prev.midSum : 0) + d.price,
+                        count: (prev ? prev.count : 0) + 1,
+                        fundingRate: d.fundingRate ?? null,
+                        fundingInterval: d.fundingInterval ?? null,
+                        nextFundingTime: d.nextFundingTime || null,
+                        quoteVolume: d.quoteVolume ?? null
+                    });
+                }
+            }
+        }
+
+        if (time - this.lastCleanup >= 60 * 60 * 1000) {
+            this.cleanup(time);
+        }
+    }
+
+    // 把当前桶写入磁盘并清空累计
+    writeTier(tier) {
+        if (tier.acc.size === 0) return;
+        const dayDir = path.join(this.dir, tier.label, dayKey(tier.bucket));
+        try {
+            fs.mkdirSync(dayDir, { recursive: true });
+            for (const [token, byExchange] of tier.acc) {
+                const row = { t: tier.bucket, x: packExchanges(byExchange) };
+                fs.appendFileSync(path.join(dayDir, tokenFile(token)), JSON.stringify(row) + '\n');
+            }
+        } catch (error) {
+            logger.error(`Failed to write ${tier.label} snapshots`, error);
+        }
+        tier.acc = new Map();
+    }
+
+    // 按各层保留天数删除过期的日期目录
+    cleanup(now = Date.now()) {
+        this.lastCleanup = now;
+        for (const tier of this.tiers) {
+            const tierDir = path.join(this.dir, tier.label);
+            if (!fs.existsSync(tierDir)) continue;
+            const oldestKept = dayKey(now - tier.retentionDays * DAY_MS);
+            try {
+                for (const day of fs.readdirSync(tierDir)) {
+                    if (day < oldestKept) {
+                        fs.rmSync(path.join(tierDir, day), { recursive: true, force: true });
+                    }
+                }
+            } catch (error) {
+                logger.error(`Failed to clean up ${tier.label} snapshots`, error);
+            }
+        }
+    }
+
+    // 退出前写出未满的桶；重启后同一时间桶可能出现两行，读取时以后一行为准
+    flush() {
+        for (const tier of this.tiers) this.writeTier(tier);
+    }
+
+    /**
+     * 选择满足查询的最细分辨率层：分辨率不超过 resolution，且保留期覆盖 from
+     * @returns {object|null}
+     */
+    pickTier(from, resolution = 0, now = Date.now()) {
+        const covering = this.tiers.filter(t => from >= now - t.retentionDays * DAY_MS);
+        const fine = covering.filter(t => t.resolution <= Math.max(resolution, this.tiers[0]?.resolution || 0));
+        if (fine.length) return fine[fine.length - 1];
+        return covering[0] || this.tiers[this.tiers.length - 1] || null;
+    }
+
+    /**
+     * 读取币种的快照序列
+     * @param {string} token 币种，例如 'BTC'
+     * @param {number} from  起始时间（毫秒，含）
+     * @param {number} to    结束时间（毫秒，含）
+     * @param {number} [resolution] 期望的最大分辨率（毫秒），用于选择层
+     * @returns {{ resolution: number, points: Array<{ time: number, exchanges: Object }> }}
+     */
+    query(token, from, to, resolution) {
+        const tier = this.pickTier(from, resolution);
+        if (!tier) return { resolution: null, points: [] };
+
+        const byTime = new Map();
+        for (let day = Math.floor(from / DAY_MS) * DAY_MS; day <= to; day += DAY_MS) {
+            const file = path.join(this.dir, tier.label, dayKey(day), tokenFile(token));
+            if (!fs.existsSync(file)) continue;
+            for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+                if (!line) continue;
+                let row;
+                try {
+                    row = JSON.parse(line);
+                } catch {
+                    continue;
+                }
+                if (row.t < from || row.t > to) continue;
+                byTime.set(row.t, row.x);
+            }
+        }
+
+        // 当前未写出的桶也一并返回，保证最新数据可见
+        const live = tier.acc.get(token);
+        if (live && tier.bucket >= from && tier.bucket <= to) {
+            byTime.set(tier.bucket, packExchanges(live));
+        }
+
+        const points = [...byTime.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([time, x]) => ({
+                time,
+                exchanges: Object.fromEntries(Object.entries(x).map(([label, values]) => [
+                    label,
+                    Object.fromEntries(FIELDS.map((field, i) => [field, values[i] ?? null]))
+                ]))
+            }));
+        return { resolution: tier.resolution, points };
+    }
+}
+
+module.exports = SnapshotStore;
@@ -0,0 +1,60 @@
+const { normalizeFundingRate } = require('../utils/funding');
+const { priceSpreadPct, fundingDiff8hPct } = require('../utils/spread');
+
+const UNIT_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// '1m' -> 60000，'4h' -> 14400000；无法识别时返回 null
+function parseTimeframe(timeframe) {
+    const match = /^(\d+)([smhd])$/.exec(String(timeframe || ''));
+    if (!match || Number(match[1]) <= 0) return null;
+    return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+/**
+ * 由快照序列生成两个交易所之间的价差K线与资金费率差序列
+ * @param {Array<{ time: number, exchanges: Object }>} points SnapshotStore.query 返回的 points
+ * @param {string} long  做多交易所标签，例如 'BINANCE'
+ * @param {string} short 做空交易所标签，例如 'OKX'
+ * @param {number} timeframeMs K线周期（毫秒）
+ * @returns {{ candles: Array, funding: Array }} 两个序列按K线时间对齐，资金费率取每根K线内最后一个快照
+ */
+function buildSpreadCandles(points, long, short, timeframeMs) {
+    const candles = [];
+    const funding = [];
+
+    for (const point of points) {
+        const l = point.exchanges[long];
+        const s = point.exchanges[short];
+        if (!l || !s) continue;
+        const spread = priceSpreadPct(l.mid, s.mid);
+        if (spread === null) continue;
+
+        const time = Math.floor(point.time / timeframeMs) * timeframeMs;
+        let candle = candles[candles.length - 1];
+        if (!candle || candle.timestamp !== time) {
+            candle = { timestamp: time, open: spread, high: spread, low: spread, close: spread, samples: 0 };
+            candles.push(candle);
+            funding.push({ timestamp: time });
+        }
+        candle.high = Math.max(candle.high, spread);
+        candle.low = Math.min(candle.low, spread);
+        candle.close = spread;
+        candle.samples++;
+
+        funding[funding.length - 1] = {
+            timestamp: time,
+            longFundingRate: l.fundingRate,
+            shortFundingRate: s.fundingRate,
+            longFundingRate8h: normalizeFundingRate(l.fundingRate, l.fundingInterval).fundingRate8h,
+            shortFundingRate8h: normalizeFundingRate(s.fundingRate, s.fundingInterval).fundingRate8h,
+            fundingDiff8h: fundingDiff8hPct(l, s)
+        };
+    }
+
+    return { candles, funding };
+}
+
+module.exports = {
+    parseTimeframe,
+    buildSpreadCandles
+};
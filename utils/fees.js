@@ -0,0 +1,35 @@
+// 交易手续费：费率均为小数（0.0005 = 0.05%），按 config.fees 解析
+// 优先级：config.fees.vip[id]（账户 VIP 等级）> config.fees.exchanges[id]（公开基础费率）> config.fees.default
+const config = require('../config/config');
+
+/**
+ * @param {string} exchangeId 与 config.exchanges 的键一致，例如 'binance'
+ * @returns {{ maker: number, taker: number }}
+ */
+function getFeeSchedule(exchangeId) {
+    return {
+        ...config.fees.default,
+        ...config.fees.exchanges[exchangeId],
+        ...config.fees.vip[exchangeId]
+    };
+}
+
+// 单次成交的手续费率；orderType 缺省按 config.fees.orderType
+function tradeFee(exchangeId, orderType = config.fees.orderType) {
+    const schedule = getFeeSchedule(exchangeId);
+    return orderType === 'maker' ? schedule.maker : schedule.taker;
+}
+
+/**
+ * 两腿开仓 + 平仓共四次成交的手续费合计（百分比），与价差百分比直接相减
+ * @returns {number}
+ */
+function roundTripFeePct(longId, shortId, orderType) {
+    return (tradeFee(longId, orderType) + tradeFee(shortId, orderType)) * 2 * 100;
+}
+
+module.exports = {
+    getFeeSchedule,
+    tradeFee,
+    roundTripFeePct
+};
@@ -0,0 +1,26 @@
+// 资金费率归一化：各交易所结算周期不同（1h / 4h / 8h），跨交易所比较前统一换算
+const HOURS_PER_YEAR = 24 * 365;
+
+/**
+ * @param {number} rate          单个结算周期的资金费率，例如 0.0001
+ * @param {number} intervalHours 结算周期（小时）
+ * @returns {{ fundingRate1h: number|null, fundingRate8h: number|null, fundingApr: number|null }}
+ */
+function normalizeFundingRate(rate, intervalHours) {
+    const r = Number(rate);
+    const h = Number(intervalHours);
+    if (!Number.isFinite(r) || !(h > 0)) {
+        return { fundingRate1h: null, fundingRate8h: null, fundingApr: null };
+    }
+    const perHour = r / h;
+    return {
+        fundingRate1h: perHour,
+        fundingRate8h: perHour * 8,
+        fundingApr: perHour * HOURS_PER_YEAR
+    };
+}
+
+module.exports = {
+    HOURS_PER_YEAR,
+    normalizeFundingRate
+};
@@ -130,9 +130,8 @@ class Logger {
                 if (Number.isFinite(data.skipped)) parts.push(`${data.skipped}skipped`);
             }
             // 如果是“各交易所累计明细”类日志，拼接展示
-            const exKeys = ['okx', 'bybit', 'binance', 'backpack', 'edgex', 'hyperliquid'];
-            const exStats = exKeys
-                .filter(k => typeof data[k] === 'string' && data[k].length > 0)
+            const exStats = Object.keys(data)
+                .filter(k => k !== 'category' && typeof data[k] === 'string' && data[k].length > 0)
                 .map(k => `${k.toUpperCase()}:${data[k]}`);
             if (parts.length > 0) {
                 consoleMessage += ` (${parts.join(', ')})`;
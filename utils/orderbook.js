@@ -0,0 +1,126 @@
+// 订单簿工具：统一输出格式为 { bids: [[price, size]], asks: [[price, size]], timestamp }
+// bids 按价格降序、asks 按价格升序，size 为币的数量（合约张数需由适配器换算）
+
+/**
+ * 把交易所返回的档位数组（[price, size] 或 { price, size }，数值或字符串）转为统一格式
+ * @param {Array} levels
+ * @param {'bids'|'asks'} side
+ * @param {number} [limit]
+ * @param {number} [multiplier] 每张合约对应的币数量
+ * @returns {Array<[number, number]>}
+ */
+function normalizeLevels(levels, side, limit = Infinity, multiplier = 1) {
+    const result = [];
+    for (const level of Array.isArray(levels) ? levels : []) {
+        const price = parseFloat(Array.isArray(level) ? level[0] : (level?.price ?? level?.px ?? level?.p));
+        const size = parseFloat(Array.isArray(level) ? level[1] : (level?.size ?? level?.sz ?? level?.s));
+        if (price > 0 && size > 0) result.push([price, size * multiplier]);
+    }
+    result.sort(side === 'bids' ? (a, b) => b[0] - a[0] : (a, b) => a[0] - b[0]);
+    return result.slice(0, limit);
+}
+
+/**
+ * 增量维护的盘口（Map<price, size>）转为统一格式；买一不低于卖一（交叉）时返回 null
+ * @param {{ bids: Map, asks: Map, timestamp?: number }} book
+ * @param {number} [limit]
+ */
+function bookFromMaps(book, limit = Infinity) {
+    if (!book) return null;
+    const bids = normalizeLevels([...book.bids], 'bids', limit);
+    const asks = normalizeLevels([...book.asks], 'asks', limit);
+    if (bids.length && asks.length && bids[0][0] >= asks[0][0]) return null;
+    return { bids, asks, timestamp: book.timestamp || null };
+}
+
+/**
+ * 把增量档位合并进 Map 盘口，size 为 0 表示删除该价位
+ * @param {Map} sideMap
+ * @param {Array} levels [price, size, ...] 或 { price, size }
+ * @param {number} [multiplier]
+ */
+function applyLevels(sideMap, levels, multiplier = 1) {
+    for (const level of Array.isArray(levels) ? levels : []) {
+        const price = Array.isArray(level) ? level[0] : level?.price;
+        const size = parseFloat(Array.isArray(level) ? level[1] : level?.size);
+        if (price === undefined) continue;
+        if (size > 0) {
+            sideMap.set(String(price), size * multiplier);
+        } else {
+            sideMap.delete(String(price));
+        }
+    }
+}
+
+/**
+ * 沿盘口逐档吃单，直到达到目标计价金额或币数量（二者取先达到者）
+ * @param {Array<[number, number]>} levels 买入时传卖盘、卖出时传买盘
+ * @param {{ notional?: number, size?: number }} target
+ * @returns {{ vwap: number|null, size: number, notional: number, filled: boolean, levels: number }}
+ */
+function walkBook(levels, { notional = Infinity, size = Infinity }) {
+    let filledSize = 0;
+    let filledNotional = 0;
+    let used = 0;
+    for (const [price, qty] of levels || []) {
+        const take = Math.min(qty, (notional - filledNotional) / price, size - filledSize);
+        if (!(take > 0)) break;
+        filledSize += take;
+        filledNotional += take * price;
+        used++;
+    }
+    // 浮点累加误差内视为已满足
+    const filled = filledNotional >= notional * (1 - 1e-9) || filledSize >= size * (1 - 1e-9);
+    return {
+        vwap: filledSize > 0 ? filledNotional / filledSize : null,
+        size: filledSize,
+        notional: filledNotional,
+        filled,
+        levels: used
+    };
+}
+
+/**
+ * 在一侧卖盘买入、另一侧买盘卖出，逐档撮合直到边际价差消失（卖一价不再高于买入价）
+ * @param {Array<[number, number]>} asks 做多交易所卖盘
+ * @param {Array<[number, number]>} bids 做空交易所买盘
+ * @returns {{ size: number, notional: number, buyVwap: number|null, sellVwap: number|null, profit: number, exhausted: boolean }}
+ *          exhausted 为 true 表示盘口档位用尽时价差仍存在，实际可成交规模可能更大
+ */
+function crossingDepth(asks, bids) {
+    asks = asks || [];
+    bids = bids || [];
+    let i = 0;
+    let j = 0;
+    let askLeft = asks[0]?.[1] || 0;
+    let bidLeft = bids[0]?.[1] || 0;
+    let size = 0;
+    let cost = 0;
+    let proceeds = 0;
+    while (i < asks.length && j < bids.length && asks[i][0] < bids[j][0]) {
+        const take = Math.min(askLeft, bidLeft);
+        size += take;
+        cost += take * asks[i][0];
+        proceeds += take * bids[j][0];
+        askLeft -= take;
+        bidLeft -= take;
+        if (askLeft <= 0) askLeft = asks[++i]?.[1] || 0;
+        if (bidLeft <= 0) bidLeft = bids[++j]?.[1] || 0;
+    }
+    return {
+        size,
+        notional: cost,
+        buyVwap: size > 0 ? cost / size : null,
+        sellVwap: size > 0 ? proceeds / size : null,
+        profit: proceeds - cost,
+        exhausted: size > 0 && (i >= asks.length || j >= bids.length)
+    };
+}
+
+module.exports = {
+    normalizeLevels,
+    bookFromMaps,
+    applyLevels,
+    walkBook,
+    crossingDepth
+};
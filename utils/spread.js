@@ -0,0 +1,31 @@
+// 跨交易所价差与资金费率差：做多 long 交易所、做空 short 交易所
+const { normalizeFundingRate } = require('./funding');
+
+/**
+ * 价差百分比：(short - long) / long * 100，为正表示做空端价格更高
+ * @returns {number|null}
+ */
+function priceSpreadPct(longPrice, shortPrice) {
+    const l = Number(longPrice);
+    const s = Number(shortPrice);
+    if (!(l > 0) || !(s > 0)) return null;
+    return ((s - l) / l) * 100;
+}
+
+/**
+ * 资金费率差（百分比，按 8h 归一化）：空头收取 short 费率、多头支付 long 费率，为正表示持仓收取资金费
+ * @param {{ fundingRate: number, fundingInterval: number }} longFunding
+ * @param {{ fundingRate: number, fundingInterval: number }} shortFunding
+ * @returns {number|null}
+ */
+function fundingDiff8hPct(longFunding, shortFunding) {
+    const l = normalizeFundingRate(longFunding?.fundingRate, longFunding?.fundingInterval).fundingRate8h;
+    const s = normalizeFundingRate(shortFunding?.fundingRate, shortFunding?.fundingInterval).fundingRate8h;
+    if (l === null || s === null) return null;
+    return (s - l) * 100;
+}
+
+module.exports = {
+    priceSpreadPct,
+    fundingDiff8hPct
+};